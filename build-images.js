@@ -0,0 +1,119 @@
+/**
+ * Premier Schools Exhibition - Responsive image builder
+ * Writes smaller copies of every photo and logo in Assets/ to Assets/responsive/, and the manifest
+ * the page reads to fill in srcset, width/height and the blurred placeholders (data/images.json).
+ * Also draws the square app icons for the web app manifest from the school logo (Assets/icons/).
+ *
+ *   npm install --no-save sharp
+ *   node build-images.js
+ *
+ * Run it again after adding or replacing an image, and commit both the copies and the manifest.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    console.error('build-images.js needs sharp: run `npm install --no-save sharp` first');
+    process.exit(1);
+}
+
+const ROOT = __dirname;
+const SOURCE_DIR = 'Assets';
+const OUTPUT_DIR = 'Assets/responsive';
+const MANIFEST = path.join(ROOT, 'data/images.json');
+const ICON_SOURCE = 'Assets/school logo.png';
+const ICON_DIR = 'Assets/icons';
+const ICON_SIZES = [192, 512];
+
+// Only widths smaller than the original are written, the original is always the largest candidate
+const WIDTHS = [160, 320, 480, 960, 1440];
+const PLACEHOLDER_WIDTH = 24;
+const EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+function listImages(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap((entry) => {
+        const relative = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return [OUTPUT_DIR, ICON_DIR].includes(relative) ? [] : listImages(relative);
+        return EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [relative] : [];
+    });
+}
+
+/**
+ * Assets/School imgs/1.png at 160px -> Assets/responsive/school-imgs-1-160w.png
+ */
+function variantPath(src, width) {
+    const ext = path.extname(src).toLowerCase();
+    const name = src.slice(SOURCE_DIR.length + 1, -ext.length).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `${OUTPUT_DIR}/${name}-${width}w${ext}`;
+}
+
+function encode(image, ext) {
+    return ext === '.png' ? image.png({ compressionLevel: 9, palette: true }) : image.jpeg({ quality: 78, mozjpeg: true });
+}
+
+async function buildImage(src) {
+    const ext = path.extname(src).toLowerCase();
+    const input = path.join(ROOT, src);
+    const { width, height } = await sharp(input).metadata();
+
+    const variants = [];
+    for (const target of WIDTHS.filter(candidate => candidate < width)) {
+        const out = variantPath(src, target);
+        await encode(sharp(input).resize({ width: target }), ext).toFile(path.join(ROOT, out));
+        variants.push({ src: out, width: target });
+    }
+
+    // Photos get a tiny blurred copy to show while the real one loads, logos are small enough without
+    let placeholder = null;
+    if (ext !== '.png') {
+        const buffer = await sharp(input).resize({ width: PLACEHOLDER_WIDTH }).blur(1).jpeg({ quality: 50 }).toBuffer();
+        placeholder = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+    }
+
+    return { width, height, variants, placeholder };
+}
+
+/**
+ * The logo is not square, so it is centred on white with room for the mask of a maskable icon
+ */
+async function buildIcons() {
+    fs.mkdirSync(path.join(ROOT, ICON_DIR), { recursive: true });
+
+    for (const size of ICON_SIZES) {
+        const logo = await sharp(path.join(ROOT, ICON_SOURCE))
+            .resize({ width: Math.round(size * 0.7), height: Math.round(size * 0.7), fit: 'contain', background: '#ffffff' })
+            .toBuffer();
+        await sharp({ create: { width: size, height: size, channels: 4, background: '#ffffff' } })
+            .composite([{ input: logo, gravity: 'centre' }])
+            .png()
+            .toFile(path.join(ROOT, `${ICON_DIR}/icon-${size}.png`));
+    }
+    console.log(`Wrote ${ICON_DIR}/icon-{${ICON_SIZES.join(',')}}.png`);
+}
+
+async function main() {
+    fs.rmSync(path.join(ROOT, OUTPUT_DIR), { recursive: true, force: true });
+    fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+
+    const manifest = {};
+    for (const src of listImages(SOURCE_DIR).sort()) {
+        manifest[src] = await buildImage(src);
+        console.log(`${src}: ${manifest[src].variants.map(variant => variant.width).join(', ') || 'original only'}`);
+    }
+
+    fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`Wrote ${path.relative(ROOT, MANIFEST)} (${Object.keys(manifest).length} images)`);
+
+    await buildIcons();
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
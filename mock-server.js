@@ -0,0 +1,209 @@
+/**
+ * Premier Schools Exhibition - Local mock server
+ * Serves the static site and a throwaway enquiry API for testing the submission queue
+ * and the staff dashboard (#/staff).
+ *
+ *   node mock-server.js                  # http://localhost:8080
+ *   PORT=3000 node mock-server.js
+ *   MOCK_FAIL_RATE=0.5 node mock-server.js   # fail half of the POSTs with a 503
+ *   STAFF_PASSWORD=secret node mock-server.js   # staff dashboard password, "counsellor" by default
+ *
+ * Extension-less paths such as /gurugram-2025 serve index.html, which renders that edition.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8080;
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+const STAFF_PASSWORD = process.env.STAFF_PASSWORD || 'counsellor';
+const ROOT = __dirname;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// In-memory store keyed by collection and the client-generated id, so retried submissions are not duplicated
+const records = new Map();
+// Bearer tokens handed out to signed-in staff, reading or updating leads needs one
+const sessions = new Set();
+// Collections holding parents' details, only staff may read or update them
+const LEAD_COLLECTIONS = ['enquiries', 'interest'];
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => resolve(raw));
+        req.on('error', reject);
+    });
+}
+
+function isStaff(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer (\S+)$/);
+    return Boolean(match) && sessions.has(match[1]);
+}
+
+async function createSession(req, res) {
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (err) {
+        return sendJSON(res, 400, { error: 'Invalid JSON' });
+    }
+
+    if (body.password !== STAFF_PASSWORD) {
+        return sendJSON(res, 401, { error: 'Wrong password' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    sessions.add(token);
+    return sendJSON(res, 201, { token });
+}
+
+/**
+ * Staff set the review state (status, assigned school) of a lead, merged into what is already there
+ */
+async function updateRecord(req, res, collection, id) {
+    const record = records.get(`${collection}:${id}`);
+    if (!record) {
+        return sendJSON(res, 404, { error: 'Not found' });
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (err) {
+        return sendJSON(res, 400, { error: 'Invalid JSON' });
+    }
+
+    record.payload.review = { ...record.payload.review, ...body.review, updatedAt: new Date().toISOString() };
+    console.log(`[${collection}] reviewed ${id}`);
+    return sendJSON(res, 200, record.payload);
+}
+
+/**
+ * Booked appointments per slot, so every device sees the same capacity. Public, so nothing about who booked:
+ * the references only let a device tell which of its own bookings are already counted.
+ */
+function bookingSlots() {
+    const bookings = [...records.values()].filter(record => record.collection === 'bookings').map(record => record.payload);
+    const slots = new Map();
+    bookings.flatMap(booking => booking.appointments || []).forEach(({ schoolId, date, time }) => {
+        const key = `${schoolId}|${date}|${time}`;
+        if (!slots.has(key)) slots.set(key, { schoolId, date, time, count: 0 });
+        slots.get(key).count += 1;
+    });
+    return { references: bookings.map(booking => booking.reference), slots: [...slots.values()] };
+}
+
+async function handleApi(req, res, collection, recordId) {
+    if (collection === 'staff-sessions' && req.method === 'POST') {
+        return createSession(req, res);
+    }
+
+    if (collection === 'booking-slots' && req.method === 'GET') {
+        return sendJSON(res, 200, bookingSlots());
+    }
+
+    if (req.method === 'GET' || req.method === 'PATCH') {
+        if (!LEAD_COLLECTIONS.includes(collection)) {
+            return sendJSON(res, 405, { error: 'Method not allowed' });
+        }
+        if (!isStaff(req)) {
+            return sendJSON(res, 401, { error: 'Sign in as staff first' });
+        }
+        if (req.method === 'PATCH') {
+            return updateRecord(req, res, collection, recordId);
+        }
+        const items = [...records.values()].filter(record => record.collection === collection);
+        return sendJSON(res, 200, items.map(record => record.payload));
+    }
+
+    if (req.method !== 'POST' || recordId) {
+        return sendJSON(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (Math.random() < FAIL_RATE) {
+        return sendJSON(res, 503, { error: 'Simulated outage' });
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (err) {
+        return sendJSON(res, 400, { error: 'Invalid JSON' });
+    }
+
+    const id = payload.id || req.headers['idempotency-key'];
+    if (!id) {
+        return sendJSON(res, 400, { error: 'Missing id or Idempotency-Key' });
+    }
+
+    // A retry leaves the stored record, and any review staff gave it, as it is
+    const key = `${collection}:${id}`;
+    if (records.has(key)) {
+        console.log(`[${collection}] duplicate ${id}`);
+        return sendJSON(res, 200, { id });
+    }
+
+    records.set(key, { collection, payload });
+    console.log(`[${collection}] received ${id}`);
+    return sendJSON(res, 201, { id });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+        // Malformed escapes such as /%E0%A4%A
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    // Edition paths (/gurugram-2025) are pages, the script picks the event from the path
+    const isPage = urlPath === '/' || !path.extname(urlPath);
+    const filePath = path.join(ROOT, isPage ? 'index.html' : urlPath);
+
+    // Inside ROOT itself, not merely a sibling directory sharing its name as a prefix
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    const match = req.url.match(/^\/api\/([a-z-]+)(?:\/([\w-]+))?\/?(\?.*)?$/);
+    if (match) {
+        handleApi(req, res, match[1], match[2]).catch(err => sendJSON(res, 500, { error: err.message }));
+        return;
+    }
+    serveStatic(req, res);
+}).listen(PORT, () => {
+    console.log(`Mock server running at http://localhost:${PORT} (fail rate ${FAIL_RATE})`);
+});
@@ -25,10 +25,10 @@
     }
 
     /**
-     * Check if user prefers reduced motion
+     * Check if user prefers reduced motion, in the system settings or with "Stop all motion" on this page
      */
     function prefersReducedMotion() {
-        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        return accessibility.prefs.stopMotion || window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
     /**
@@ -50,664 +50,6425 @@
         };
     }
 
+    /**
+     * Generate a reasonably unique id (time based plus random suffix)
+     */
+    function createId(prefix) {
+        const random = Math.random().toString(36).slice(2, 8);
+        return `${prefix}-${Date.now().toString(36)}-${random}`;
+    }
+
+    /**
+     * Short human-friendly reference for bookings and registrations (no 0/O or 1/I lookalikes)
+     */
+    function createReference(prefix = 'PSE') {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = window.crypto?.getRandomValues
+            ? window.crypto.getRandomValues(new Uint8Array(6))
+            : Array.from({ length: 6 }, () => Math.floor(Math.random() * 256));
+        return `${prefix}-${Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('')}`;
+    }
+
+    /**
+     * Escape text for use inside HTML template strings
+     */
+    function escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Fetch and parse a JSON file, rejecting on HTTP errors
+     */
+    async function loadJSON(url) {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url} (${response.status})`);
+        }
+        return response.json();
+    }
+
+    const SCHOOLS_URL = 'data/schools.json';
+    let schoolsPromise = null;
+
+    /**
+     * Schools dataset narrowed to the current edition's line-up, fetched once and shared by every component
+     */
+    function loadSchools() {
+        if (!schoolsPromise) {
+            schoolsPromise = Promise.all([
+                loadJSON(SCHOOLS_URL),
+                // Without an event file every school in the dataset is shown
+                loadEvent().catch(() => null)
+            ]).then(([data, event]) => {
+                const ids = event?.schools?.map(school => school.id);
+                return ids ? { ...data, schools: data.schools.filter(school => ids.includes(school.id)) } : data;
+            });
+            // Allow another attempt if this one failed
+            schoolsPromise.catch(() => { schoolsPromise = null; });
+        }
+        return schoolsPromise;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and adjacent swaps
+     */
+    function editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Minutes since midnight for a 24h "HH:MM" string
+     */
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Format a 24h "HH:MM" string for display in the current language, e.g. "13:30" -> "1:30 pm"
+     */
+    function formatTime(time) {
+        const total = toMinutes(time);
+        return i18n.formatDate(Date.UTC(1970, 0, 1, Math.floor(total / 60), total % 60), {
+            hour: 'numeric',
+            minute: '2-digit',
+            hourCycle: 'h12'
+        });
+    }
+
+    /**
+     * JSON helpers around localStorage that never throw (private mode, quota, disabled storage)
+     */
+    const storage = {
+        get(key, fallback) {
+            try {
+                const raw = window.localStorage.getItem(key);
+                return raw === null ? fallback : JSON.parse(raw);
+            } catch (err) {
+                return fallback;
+            }
+        },
+
+        set(key, value) {
+            try {
+                window.localStorage.setItem(key, JSON.stringify(value));
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+
+        remove(key) {
+            try {
+                window.localStorage.removeItem(key);
+            } catch (err) {
+                // storage unavailable, nothing to remove
+            }
+        }
+    };
+
+    // Internationalisation
+    // ==========================================================================
+
+    // English is the source language: its strings are the catalog keys and the fallback for missing ones
+    const LOCALES = {
+        en: { name: 'English', intl: 'en-IN', dir: 'ltr' },
+        hi: { name: 'हिन्दी', intl: 'hi-IN', dir: 'ltr' }
+    };
+    const DEFAULT_LOCALE = 'en';
+    const LOCALE_STORAGE_KEY = 'pse-language';
+
+    const i18n = {
+        locale: DEFAULT_LOCALE,
+        messages: {},
+        // Original English copy of every translated element, keyed by element
+        sources: new WeakMap(),
+
+        /**
+         * ?lang= first, then the saved choice, then the browser's preferred languages
+         */
+        getInitialLocale() {
+            const candidates = [
+                new URLSearchParams(window.location.search).get('lang'),
+                storage.get(LOCALE_STORAGE_KEY, null),
+                ...(navigator.languages || [navigator.language])
+            ];
+            const match = candidates
+                .map(candidate => String(candidate || '').toLowerCase().split('-')[0])
+                .find(code => LOCALES[code]);
+            return match || DEFAULT_LOCALE;
+        },
+
+        async setLocale(locale, { persist = true } = {}) {
+            if (!LOCALES[locale]) locale = DEFAULT_LOCALE;
+            this.messages = locale === DEFAULT_LOCALE ? {} : await loadJSON(`data/i18n/${locale}.json`);
+            this.locale = locale;
+            if (persist) storage.set(LOCALE_STORAGE_KEY, locale);
+
+            document.documentElement.lang = locale;
+            document.documentElement.dir = LOCALES[locale].dir;
+            this.translate(document);
+            document.dispatchEvent(new CustomEvent('localeChange', { detail: { locale } }));
+        },
+
+        t(message, params = {}) {
+            return formatMessage(this.messages[message] || message, params);
+        },
+
+        /**
+         * Translate [data-i18n] text and the attributes named in [data-i18n-attr], using the markup's English as keys
+         */
+        translate(root) {
+            const selector = '[data-i18n], [data-i18n-attr]';
+            const elements = [...root.querySelectorAll(selector)];
+            if (root.matches?.(selector)) elements.unshift(root);
+
+            elements.forEach(element => {
+                if (!this.sources.has(element)) {
+                    const attrs = (element.dataset.i18nAttr || '').split(',').map(name => name.trim()).filter(Boolean);
+                    this.sources.set(element, {
+                        text: element.hasAttribute('data-i18n') ? element.textContent : null,
+                        attrs: Object.fromEntries(attrs.map(name => [name, element.getAttribute(name)]))
+                    });
+                }
+
+                const { text, attrs } = this.sources.get(element);
+                if (text) {
+                    // Keep the surrounding whitespace, it separates the text from its neighbours
+                    const [, before, key, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                    element.textContent = before + this.t(key) + after;
+                }
+                Object.entries(attrs).forEach(([name, value]) => {
+                    if (value) element.setAttribute(name, this.t(value));
+                });
+            });
+        },
+
+        getIntlLocale() {
+            return LOCALES[this.locale].intl;
+        },
+
+        isRTL() {
+            return LOCALES[this.locale].dir === 'rtl';
+        },
+
+        formatNumber(value, options) {
+            return new Intl.NumberFormat(this.getIntlLocale(), options).format(value);
+        },
+
+        /**
+         * Dates and times are handled as UTC wall-clock values unless a time zone is given
+         */
+        formatDate(value, options) {
+            return new Intl.DateTimeFormat(this.getIntlLocale(), { timeZone: 'UTC', ...options }).format(value);
+        }
+    };
+
+    /**
+     * Translate a message and fill its {placeholders}
+     */
+    function t(message, params) {
+        return i18n.t(message, params);
+    }
+
+    class LanguageSwitcher {
+        constructor(select) {
+            this.select = select;
+            this.init();
+        }
+
+        init() {
+            if (!this.select) return;
+
+            this.select.innerHTML = Object.entries(LOCALES).map(([code, locale]) => `
+                <option value="${code}" lang="${code}">${escapeHTML(locale.name)}</option>
+            `).join('');
+            this.select.value = i18n.locale;
+            this.select.closest('[hidden]')?.removeAttribute('hidden');
+
+            this.select.addEventListener('change', async () => {
+                try {
+                    await i18n.setLocale(this.select.value);
+                } catch (err) {
+                    console.warn('LanguageSwitcher: could not load translations', err);
+                    this.select.value = i18n.locale;
+                }
+            });
+            document.addEventListener('localeChange', () => { this.select.value = i18n.locale; });
+        }
+    }
+
+    // Accessibility Preferences (text size, contrast, font, links and motion)
+    // ==========================================================================
+
+    const ACCESSIBILITY_STORAGE_KEY = 'pse-accessibility';
+    const ACCESSIBILITY_DEFAULTS = {
+        textScale: 1,
+        highContrast: false,
+        dyslexiaFont: false,
+        underlineLinks: false,
+        stopMotion: false
+    };
+    const TEXT_SCALES = [1, 1.25, 1.5, 2];
+    // Preference -> class on <html>, the stylesheet does the rest
+    const ACCESSIBILITY_CLASSES = {
+        highContrast: 'a11y-high-contrast',
+        dyslexiaFont: 'a11y-dyslexia-font',
+        underlineLinks: 'a11y-underline-links',
+        stopMotion: 'a11y-stop-motion'
+    };
+
+    const accessibility = {
+        prefs: { ...ACCESSIBILITY_DEFAULTS },
+
+        load() {
+            this.prefs = { ...ACCESSIBILITY_DEFAULTS, ...storage.get(ACCESSIBILITY_STORAGE_KEY, {}) };
+            this.apply();
+
+            // Deleted from "Manage my data"
+            document.addEventListener('deviceDataRemoved', (e) => {
+                if (e.detail.keys.includes(ACCESSIBILITY_STORAGE_KEY)) this.reset();
+            });
+            // A change of the system setting reaches the page the same way as the toggle
+            window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener?.('change', () => {
+                document.dispatchEvent(new CustomEvent('motionPreferenceChange', { detail: { reduced: prefersReducedMotion() } }));
+            });
+        },
+
+        set(changes) {
+            const motionBefore = prefersReducedMotion();
+            this.prefs = { ...this.prefs, ...changes };
+
+            const isDefault = Object.keys(ACCESSIBILITY_DEFAULTS).every(name => this.prefs[name] === ACCESSIBILITY_DEFAULTS[name]);
+            if (isDefault) {
+                storage.remove(ACCESSIBILITY_STORAGE_KEY);
+            } else {
+                storage.set(ACCESSIBILITY_STORAGE_KEY, this.prefs);
+            }
+
+            this.apply();
+            document.dispatchEvent(new CustomEvent('accessibilityChange', { detail: { prefs: this.prefs } }));
+            if (prefersReducedMotion() !== motionBefore) {
+                document.dispatchEvent(new CustomEvent('motionPreferenceChange', { detail: { reduced: prefersReducedMotion() } }));
+            }
+        },
+
+        reset() {
+            this.set(ACCESSIBILITY_DEFAULTS);
+        },
+
+        apply() {
+            const root = document.documentElement;
+            Object.entries(ACCESSIBILITY_CLASSES).forEach(([name, className]) => {
+                root.classList.toggle(className, Boolean(this.prefs[name]));
+            });
+            // Every text size in the stylesheet is multiplied by this, icons inside fixed-size buttons keep their size
+            if (this.prefs.textScale === 1) {
+                root.style.removeProperty('--text-scale');
+            } else {
+                root.style.setProperty('--text-scale', this.prefs.textScale);
+            }
+        }
+    };
+
+    /**
+     * Text size, high contrast, dyslexia-friendly font, underlined links and "stop all motion",
+     * applied as soon as they are changed
+     */
+    class AccessibilityPanel {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.form = element.querySelector('.accessibility__form');
+            this.scales = element.querySelector('.accessibility__scales');
+            this.resetBtn = element.querySelector('.accessibility__reset');
+            this.trigger = options.trigger || null;
+
+            this.init();
+        }
+
+        init() {
+            if (!this.form) return;
+
+            this.modal = new Modal(this.element);
+            this.renderScales();
+            this.sync();
+
+            this.form.addEventListener('change', (e) => {
+                const { name, value, checked } = e.target;
+                if (name === 'textScale') {
+                    accessibility.set({ textScale: Number(value) });
+                } else if (name in ACCESSIBILITY_DEFAULTS) {
+                    accessibility.set({ [name]: checked });
+                }
+            });
+            this.form.addEventListener('submit', e => e.preventDefault());
+            this.resetBtn?.addEventListener('click', () => accessibility.reset());
+
+            document.addEventListener('accessibilityChange', () => this.sync());
+            document.addEventListener('localeChange', () => this.renderScales());
+            this.trigger?.addEventListener('click', () => this.modal.open(this.trigger));
+        }
+
+        renderScales() {
+            if (!this.scales) return;
+
+            this.scales.innerHTML = TEXT_SCALES.map(scale => `
+                <label class="accessibility__scale">
+                    <input type="radio" name="textScale" value="${scale}"${scale === accessibility.prefs.textScale ? ' checked' : ''}>
+                    <span>${i18n.formatNumber(scale, { style: 'percent' })}</span>
+                </label>
+            `).join('');
+        }
+
+        sync() {
+            Array.from(this.form.elements).forEach(control => {
+                if (control.name === 'textScale') {
+                    control.checked = Number(control.value) === accessibility.prefs.textScale;
+                } else if (control.name in ACCESSIBILITY_DEFAULTS) {
+                    control.checked = Boolean(accessibility.prefs[control.name]);
+                }
+            });
+            this.trigger?.classList.toggle('is-customised', Boolean(storage.get(ACCESSIBILITY_STORAGE_KEY, null)));
+        }
+    }
+
+    // Event Configuration (one file per city and edition)
+    // ==========================================================================
+
+    const EVENT_DEFAULT_ID = 'gurugram-2025';
+    const EVENT_TIMEZONE = 'Asia/Kolkata';
+    const EVENT_ID_PATTERN = /^[a-z0-9-]+$/;
+    let eventPromise = null;
+    let loadedEventId = null;
+
+    /**
+     * Edition to render, from ?event=<id> or a /<id> path, e.g. /gurugram-2025
+     */
+    function getEventId() {
+        const fromQuery = new URLSearchParams(window.location.search).get('event');
+        const fromPath = window.location.pathname.split('/').filter(Boolean).pop();
+        return [fromQuery, fromPath].find(id => id && EVENT_ID_PATTERN.test(id)) || EVENT_DEFAULT_ID;
+    }
+
+    /**
+     * Edition actually on screen, which differs from getEventId() when that one had no file
+     */
+    function getCurrentEventId() {
+        return loadedEventId || getEventId();
+    }
+
+    function getEventUrl(id) {
+        return `data/events/${id}.json`;
+    }
+
+    /**
+     * Current edition's config, fetched once. An unknown edition falls back to the default one.
+     */
+    function loadEvent() {
+        if (!eventPromise) {
+            const id = getEventId();
+            eventPromise = loadJSON(getEventUrl(id)).catch(err => {
+                if (id === EVENT_DEFAULT_ID) throw err;
+                console.warn(`Event "${id}" not found, showing ${EVENT_DEFAULT_ID}`, err);
+                return loadJSON(getEventUrl(EVENT_DEFAULT_ID));
+            }).then(event => {
+                loadedEventId = event.id;
+                return event;
+            });
+            eventPromise.catch(() => { eventPromise = null; });
+        }
+        return eventPromise;
+    }
+
+    /**
+     * "10am", or "9:30am" when not on the hour
+     */
+    function formatShortTime(time) {
+        return formatTime(time).replace(':00', '').replace(/\s+/, '');
+    }
+
+    /**
+     * "Saturday, 2 August" for a YYYY-MM-DD date, in the current language
+     */
+    function formatDayLabel(date) {
+        return i18n.formatDate(Date.parse(`${date}T00:00:00Z`), { weekday: 'long', day: 'numeric', month: 'long' });
+    }
+
+    /**
+     * Refresh the labels of a list of day radios after the language changes
+     */
+    function relabelDays(list) {
+        list?.querySelectorAll('input[name="day"]').forEach(input => {
+            input.nextElementSibling.textContent = formatDayLabel(input.value);
+        });
+    }
+
+    /**
+     * "10am - 6pm" style opening hours
+     */
+    function formatOpeningHours(opensAt, closesAt) {
+        return `${formatShortTime(opensAt)} - ${formatShortTime(closesAt)}`;
+    }
+
+    /**
+     * Milliseconds a time zone is ahead of UTC at the given instant
+     */
+    function getTimeZoneOffset(timestamp, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(timestamp).forEach(part => { parts[part.type] = Number(part.value); });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wallClock - (timestamp - (timestamp % 1000));
+    }
+
+    /**
+     * The instant a date and time on the venue's clock happen, whatever zone the visitor's device is in
+     */
+    function toEventTime(date, time, timeZone = EVENT_TIMEZONE) {
+        const [year, month, day] = date.split('-').map(Number);
+        const minutes = toMinutes(time);
+        const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+        return wallClock - getTimeZoneOffset(wallClock, timeZone);
+    }
+
+    /**
+     * Calendar date (YYYY-MM-DD) at the venue for an instant
+     */
+    function toEventDate(timestamp, timeZone = EVENT_TIMEZONE) {
+        const shifted = new Date(timestamp + getTimeZoneOffset(timestamp, timeZone));
+        return shifted.toISOString().slice(0, 10);
+    }
+
+    /**
+     * "2-3 August 2025" and "Sat-Sun" for the exhibition days, in the current language
+     */
+    function formatEventDays(days) {
+        const toDate = day => Date.parse(`${day.date}T00:00:00Z`);
+        const first = toDate(days[0]);
+        const last = toDate(days[days.length - 1]);
+        const format = (date, options) => i18n.formatDate(date, options);
+        const [firstYear, lastYear] = [first, last].map(date => new Date(date).getUTCFullYear());
+        const sameMonth = firstYear === lastYear && new Date(first).getUTCMonth() === new Date(last).getUTCMonth();
+
+        let dates = format(last, { day: 'numeric', month: 'long', year: 'numeric' });
+        if (sameMonth) {
+            if (days.length > 1) dates = `${format(first, { day: 'numeric' })}-${dates}`;
+        } else if (firstYear === lastYear) {
+            dates = `${format(first, { day: 'numeric', month: 'long' })} - ${dates}`;
+        } else {
+            dates = `${format(first, { day: 'numeric', month: 'long', year: 'numeric' })} - ${dates}`;
+        }
+
+        const weekdays = days.length > 1
+            ? `${format(first, { weekday: 'short' })}-${format(last, { weekday: 'short' })}`
+            : format(first, { weekday: 'short' });
+
+        return { dates, weekdays, year: firstYear };
+    }
+
+    /**
+     * Fill every [data-event-field] element, the document title and the footer contacts from the event config
+     */
+    function applyEventDetails(event) {
+        const { dates, weekdays, year } = formatEventDays(event.days);
+        const fields = {
+            name: t(event.name),
+            edition: t(event.edition),
+            tagline: t("Discover {city}'s", { city: t(event.city) }),
+            headline: t(event.headline),
+            subtitle: t(event.subtitle),
+            venueName: event.venue?.name,
+            venueAddress: event.venue?.address,
+            venue: [event.venue?.name, event.venue?.address].filter(Boolean).join(', '),
+            dates,
+            weekdays,
+            hours: formatOpeningHours(event.opensAt, event.closesAt)
+        };
+
+        document.querySelectorAll('[data-event-field]').forEach(element => {
+            const value = fields[element.dataset.eventField];
+            if (value) element.textContent = value;
+        });
+
+        document.title = `${fields.name} - ${t(event.city)} ${year}`;
+        document.querySelector('meta[name="description"]')
+            ?.setAttribute('content', `${fields.name} - ${fields.tagline} ${fields.headline}, ${dates}`);
+        const logo = document.querySelector('.header__logo-img');
+        if (logo && event.edition) logo.alt = `${fields.name} - ${fields.edition}`;
+
+        renderEventContacts(event.contact);
+        document.documentElement.dataset.event = event.id;
+    }
+
+    function renderEventContacts(contact) {
+        const offices = document.querySelector('.footer__offices');
+        if (offices && contact?.offices?.length) {
+            offices.innerHTML = contact.offices.map(office => `
+                <div class="footer__office">
+                    <div class="footer__office-icon" aria-hidden="true">📍</div>
+                    <h3 class="footer__office-title">${escapeHTML(t(office.title))}:</h3>
+                    <address class="footer__address">${office.address.map(escapeHTML).join('<br>')}</address>
+                </div>
+            `).join('');
+        }
+
+        const phones = document.querySelector('.footer__phone-info');
+        if (phones && contact?.phones?.length) {
+            phones.querySelectorAll('.footer__phone-number').forEach(link => link.remove());
+            phones.insertAdjacentHTML('beforeend', contact.phones.map(phone => `
+                <a href="tel:${escapeHTML(phone.replace(/[^\d+]/g, ''))}" class="footer__phone-number" data-cta="call">${escapeHTML(phone)}</a>
+            `).join(''));
+        }
+    }
+
+    // Pointer Drag (one gesture engine for the carousels and the logo rows)
+    // ==========================================================================
+
+    // Pointer travel (px) below which a press counts as a tap rather than a drag
+    const TAP_MAX_DISTANCE = 8;
+    // Only the last moments of a drag count towards the release velocity
+    const VELOCITY_WINDOW = 100;
+    // How far ahead (ms) a flick is projected before snapping
+    const MOMENTUM_TIME = 250;
+    // Velocity kept per 16ms frame while gliding
+    const MOMENTUM_FRICTION = 0.95;
+
+    /**
+     * Resistance past an edge: the further the overflow, the less the content follows
+     */
+    function rubberBand(overflow, dimension, constant = 0.55) {
+        if (!dimension) return 0;
+        return Math.sign(overflow) * (1 - 1 / ((Math.abs(overflow) * constant / dimension) + 1)) * dimension;
+    }
+
+    /**
+     * Keep scrolling an element after a flick, slowing down until it stops. Returns a cancel function.
+     */
+    function momentumScroll(element, velocity, onStop) {
+        let frame = null;
+        let last = performance.now();
+
+        const step = (now) => {
+            const elapsed = now - last;
+            last = now;
+            const before = element.scrollLeft;
+            element.scrollLeft += velocity * elapsed;
+            velocity *= Math.pow(MOMENTUM_FRICTION, elapsed / 16);
+
+            // Stop once slow enough or held up by either end
+            if (Math.abs(velocity) < 0.02 || element.scrollLeft === before) {
+                frame = null;
+                onStop?.();
+                return;
+            }
+            frame = requestAnimationFrame(step);
+        };
+        frame = requestAnimationFrame(step);
+
+        return () => {
+            if (frame === null) return;
+            cancelAnimationFrame(frame);
+            frame = null;
+            onStop?.();
+        };
+    }
+
+    class PointerDrag {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { onStart: null, onMove: null, onEnd: null, ...options };
+            this.pointerId = null;
+            this.wasDragged = false;
+            this.listeners = new AbortController();
+
+            this.init();
+        }
+
+        init() {
+            const { signal } = this.listeners;
+            this.element.addEventListener('pointerdown', (e) => this.handleDown(e), { signal });
+            this.element.addEventListener('pointermove', (e) => this.handleMove(e), { signal });
+            this.element.addEventListener('pointerup', (e) => this.handleUp(e), { signal });
+            this.element.addEventListener('pointercancel', (e) => this.handleUp(e), { signal });
+
+            // A drag must not also follow a link or open a card it started on
+            this.element.addEventListener('click', (e) => {
+                if (!this.wasDragged) return;
+                this.wasDragged = false;
+                e.preventDefault();
+                e.stopPropagation();
+            }, { capture: true, signal });
+            this.element.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+        }
+
+        handleDown(e) {
+            if (this.pointerId !== null || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            this.pointerId = e.pointerId;
+            this.startX = e.clientX;
+            this.startY = e.clientY;
+            this.deltaX = 0;
+            this.wasDragged = false;
+            this.samples = [{ x: e.clientX, time: e.timeStamp }];
+            this.options.onStart?.(e);
+        }
+
+        handleMove(e) {
+            if (e.pointerId !== this.pointerId) return;
+            this.deltaX = e.clientX - this.startX;
+
+            if (!this.wasDragged) {
+                if (Math.abs(this.deltaX) <= TAP_MAX_DISTANCE) return;
+                // Mostly vertical movement belongs to the page scroll
+                if (Math.abs(e.clientY - this.startY) > Math.abs(this.deltaX)) {
+                    this.pointerId = null;
+                    this.options.onEnd?.({ deltaX: 0, velocity: 0, wasDragged: false });
+                    return;
+                }
+                this.wasDragged = true;
+                // Captured only once it is a drag, so taps still reach what they landed on
+                this.element.setPointerCapture?.(e.pointerId);
+            }
+
+            this.samples.push({ x: e.clientX, time: e.timeStamp });
+            this.samples = this.samples.filter(sample => e.timeStamp - sample.time <= VELOCITY_WINDOW);
+            this.options.onMove?.(this.deltaX, e);
+        }
+
+        handleUp(e) {
+            if (e.pointerId !== this.pointerId) return;
+            this.pointerId = null;
+            if (this.element.hasPointerCapture?.(e.pointerId)) this.element.releasePointerCapture(e.pointerId);
+
+            this.options.onEnd?.({
+                deltaX: this.deltaX,
+                velocity: e.type === 'pointercancel' ? 0 : this.getVelocity(),
+                wasDragged: this.wasDragged
+            });
+        }
+
+        /**
+         * Release speed in px/ms, positive when moving right
+         */
+        getVelocity() {
+            const first = this.samples[0];
+            const last = this.samples[this.samples.length - 1];
+            if (!first || last.time === first.time) return 0;
+            return (last.x - first.x) / (last.time - first.time);
+        }
+
+        destroy() {
+            this.listeners.abort();
+            this.pointerId = null;
+        }
+    }
+
+    // Carousel (shared engine behind every slider on the page)
+    // ==========================================================================
+
+    const CAROUSEL_DEFAULTS = {
+        track: null,                // selectors, relative to the container
+        slides: null,
+        prev: null,
+        next: null,
+        dots: null,
+        pause: null,
+        dotActiveClass: null,
+        mode: 'slide',              // 'slide' moves the track, 'fade' toggles activeClass on the slides
+        activeClass: null,
+        breakpoints: { 0: 1 },      // min viewport width -> slides per view
+        loop: false,                // wrap around at the ends instead of stopping
+        autoplay: 0,                // ms between slides, 0 turns it off
+        pauseOnHover: true,
+        drag: true,                 // pointer drag / swipe
+        wheel: false,
+        keyboard: true,
+        lazy: false,                // activate only once scrolled into view
+        swipeThreshold: 50,
+        label: null                 // accessible name when the markup has no labelled region
+    };
+
+    class Carousel {
+        constructor(container, options = {}) {
+            this.container = container;
+            this.options = { ...CAROUSEL_DEFAULTS, ...options };
+
+            const find = selector => (selector ? container.querySelector(selector) : null);
+            const findAll = selector => (selector ? Array.from(container.querySelectorAll(selector)) : []);
+            this.track = find(this.options.track);
+            this.slides = findAll(this.options.slides);
+            this.prevBtn = find(this.options.prev);
+            this.nextBtn = find(this.options.next);
+            this.pauseBtn = find(this.options.pause);
+            this.dots = findAll(this.options.dots);
+
+            this.currentIndex = 0;
+            this.slidesPerView = this.getSlidesPerView();
+            this.isActive = false;
+            this.isPaused = false;          // paused by the visitor, hover pauses do not count
+            this.autoplayTimer = null;
+            this.listeners = null;          // AbortController shared by every listener, see destroy()
+            this.visibilityObserver = null;
+            this.viewportObserver = null;
+            this.isOffscreen = false;       // autoplay waits while the carousel is scrolled out of view
+
+            if (this.options.lazy && 'IntersectionObserver' in window) {
+                this.observeVisibility();
+            } else {
+                this.init();
+            }
+        }
+
+        init() {
+            if (this.isActive || !this.track || this.slides.length === 0) return;
+
+            this.isActive = true;
+            this.listeners = new AbortController();
+            this.setupAccessibility();
+            this.bindEvents();
+            this.update();
+            this.updateAutoplayUI();
+            if (this.options.autoplay && 'IntersectionObserver' in window) this.observeViewport();
+            this.startAutoplay();
+        }
+
+        /**
+         * Roles and labels from the WAI-ARIA APG carousel pattern
+         */
+        setupAccessibility() {
+            this.region = this.container.matches('[role="region"]')
+                ? this.container
+                : this.container.querySelector('[role="region"]') || this.container;
+
+            if (!this.region.hasAttribute('role')) this.region.setAttribute('role', 'region');
+            if (this.options.label && !this.region.hasAttribute('aria-label')) {
+                this.region.setAttribute('aria-label', this.options.label);
+            }
+            // Focusable so the arrow keys work without first tabbing to a control inside
+            if (!this.region.hasAttribute('tabindex')) this.region.tabIndex = 0;
+
+            if (!this.track.id) this.track.id = createId('carousel');
+            [this.prevBtn, this.nextBtn].forEach(btn => btn?.setAttribute('aria-controls', this.track.id));
+
+            this.slides.forEach((slide, index) => {
+                if (!slide.id) slide.id = `${this.track.id}-slide-${index + 1}`;
+                slide.setAttribute('role', this.dots.length ? 'tabpanel' : 'group');
+            });
+
+            if (this.dots.length) {
+                this.dots[0].parentElement.setAttribute('role', 'tablist');
+                this.dots.forEach((dot, index) => {
+                    dot.setAttribute('role', 'tab');
+                    if (this.slides[index]) dot.setAttribute('aria-controls', this.slides[index].id);
+                });
+            }
+
+            // Every auto-moving carousel needs a visible way to stop it (WCAG 2.2.2)
+            if (this.options.autoplay && !this.pauseBtn) {
+                this.pauseBtn = document.createElement('button');
+                this.pauseBtn.type = 'button';
+                this.pauseBtn.className = 'carousel__pause';
+                this.pauseBtn.innerHTML = '<span aria-hidden="true"></span>';
+                this.region.prepend(this.pauseBtn);
+                this.createdPauseBtn = true;
+            }
+
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'visually-hidden';
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            this.region.appendChild(this.liveRegion);
+
+            this.updateLabels();
+        }
+
+        /**
+         * Labels read out by screen readers, redone when the language changes
+         */
+        updateLabels() {
+            const total = this.slides.length;
+            this.region.setAttribute('aria-roledescription', t('carousel'));
+            this.slides.forEach((slide, index) => {
+                slide.setAttribute('aria-roledescription', t('slide'));
+                slide.setAttribute('aria-label', t('{index} of {total}', { index: index + 1, total }));
+            });
+            this.dots[0]?.parentElement.setAttribute('aria-label', t('Slides'));
+            this.dots.forEach((dot, index) => dot.setAttribute('aria-label', t('Slide {index}', { index: index + 1 })));
+        }
+
+        /**
+         * Describe the visible slides, e.g. "Slide 2 of 5" or "Showing 2 to 5 of 5"
+         */
+        getPositionText() {
+            const total = this.slides.length;
+            const first = this.currentIndex + 1;
+            const last = Math.min(total, this.currentIndex + (this.options.mode === 'fade' ? 1 : this.slidesPerView));
+            return first === last
+                ? t('Slide {index} of {total}', { index: first, total })
+                : t('Showing {first} to {last} of {total}', { first, last, total });
+        }
+
+        observeVisibility() {
+            this.visibilityObserver = new IntersectionObserver((entries) => {
+                if (!entries.some(entry => entry.isIntersecting)) return;
+                this.visibilityObserver.disconnect();
+                this.visibilityObserver = null;
+                this.init();
+            }, { threshold: 0.1 });
+            this.visibilityObserver.observe(this.container);
+        }
+
+        /**
+         * No point advancing slides nobody can see
+         */
+        observeViewport() {
+            this.viewportObserver = new IntersectionObserver(([entry]) => {
+                this.isOffscreen = !entry.isIntersecting;
+                if (this.isOffscreen) {
+                    this.stopAutoplay();
+                } else {
+                    this.startAutoplay();
+                }
+            });
+            this.viewportObserver.observe(this.container);
+        }
+
+        /**
+         * addEventListener that destroy() undoes
+         */
+        listen(target, type, handler, options = {}) {
+            target?.addEventListener(type, handler, { ...options, signal: this.listeners.signal });
+        }
+
+        bindEvents() {
+            this.listen(this.prevBtn, 'click', () => this.prev());
+            this.listen(this.nextBtn, 'click', () => this.next());
+            this.listen(this.pauseBtn, 'click', () => this.toggleAutoplay());
+            this.dots.forEach((dot, index) => this.listen(dot, 'click', () => this.goTo(index)));
+
+            if (this.options.keyboard) {
+                this.listen(this.container, 'keydown', (e) => this.handleKeydown(e));
+            }
+
+            if (this.options.autoplay && this.options.pauseOnHover) {
+                this.listen(this.container, 'mouseenter', () => this.stopAutoplay());
+                this.listen(this.container, 'mouseleave', () => this.startAutoplay());
+                this.listen(this.container, 'focusin', () => this.stopAutoplay());
+                this.listen(this.container, 'focusout', (e) => {
+                    if (!this.container.contains(e.relatedTarget)) this.startAutoplay();
+                });
+            }
+
+            if (this.options.autoplay) {
+                this.listen(document, 'visibilitychange', () => {
+                    if (document.hidden) {
+                        this.stopAutoplay();
+                    } else {
+                        this.startAutoplay();
+                    }
+                });
+            }
+
+            if (this.options.drag) this.bindDrag();
+            if (this.options.wheel) this.bindWheel();
+
+            // "Stop all motion" and the system setting apply straight away, no reload needed
+            this.listen(document, 'motionPreferenceChange', () => {
+                if (prefersReducedMotion()) {
+                    this.stopAutoplay();
+                } else {
+                    this.startAutoplay();
+                }
+                this.update();
+            });
+
+            this.listen(window, 'resize', debounce(() => this.handleResize(), 250));
+            this.listen(document, 'localeChange', () => {
+                this.updateLabels();
+                this.updateAutoplayUI();
+                // Slide direction flips for right-to-left languages
+                this.update();
+            });
+        }
+
+        bindDrag() {
+            const follows = this.options.mode === 'slide';
+
+            // Offsets are worked out left-to-right and mirrored on screen for right-to-left pages
+            this.drag = new PointerDrag(this.track, {
+                onMove: (screenDeltaX) => {
+                    this.container.classList.add('is-dragging');
+                    if (!follows) return;
+                    const direction = this.getDirection();
+                    this.track.style.transition = 'none';
+                    this.track.style.transform = `translateX(${this.getDragOffset(screenDeltaX * direction) * direction}px)`;
+                },
+                onEnd: ({ deltaX: screenDeltaX, velocity: screenVelocity, wasDragged }) => {
+                    const deltaX = screenDeltaX * this.getDirection();
+                    const velocity = screenVelocity * this.getDirection();
+                    this.container.classList.remove('is-dragging');
+                    this.track.style.transition = '';
+                    if (!wasDragged) return;
+
+                    if (follows) {
+                        this.goTo(this.getSnapIndex(deltaX, velocity));
+                    } else if (Math.abs(deltaX) > this.options.swipeThreshold || Math.abs(velocity * MOMENTUM_TIME) > this.options.swipeThreshold) {
+                        if (deltaX < 0) {
+                            this.next();
+                        } else {
+                            this.prev();
+                        }
+                    } else {
+                        this.update();
+                    }
+                }
+            });
+        }
+
+        getStep() {
+            return (this.slides[0]?.offsetWidth || 0) + this.getGap();
+        }
+
+        /**
+         * 1 for left-to-right layouts, -1 when the slides run right to left
+         */
+        getDirection() {
+            return getComputedStyle(this.track).direction === 'rtl' ? -1 : 1;
+        }
+
+        /**
+         * Track position while dragging, with resistance beyond the first and last slide
+         */
+        getDragOffset(deltaX) {
+            const offset = this.getOffset() + deltaX;
+            if (this.options.loop) return offset;
+
+            const min = -(this.getMaxIndex() * this.getStep());
+            const width = this.container.offsetWidth;
+            if (offset > 0) return rubberBand(offset, width);
+            if (offset < min) return min + rubberBand(offset - min, width);
+            return offset;
+        }
+
+        /**
+         * Slide nearest to where the drag, carried on by its release velocity, would come to rest
+         */
+        getSnapIndex(deltaX, velocity) {
+            const step = this.getStep();
+            if (!step) return this.currentIndex;
+
+            const momentum = prefersReducedMotion() ? 0 : velocity * MOMENTUM_TIME;
+            const index = Math.round(-(this.getOffset() + deltaX + momentum) / step);
+
+            // A short but deliberate swipe still moves one slide
+            if (index === this.currentIndex && Math.abs(deltaX) > this.options.swipeThreshold) {
+                return this.currentIndex - Math.sign(deltaX);
+            }
+            return index;
+        }
+
+        bindWheel() {
+            let isLocked = false;
+
+            this.listen(this.container, 'wheel', (e) => {
+                // Ctrl/⌘ + wheel is the browser's zoom
+                if (e.ctrlKey || e.metaKey) return;
+                const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+                if (Math.abs(delta) < 5) return;
+
+                const direction = Math.sign(delta);
+                // At either end the wheel goes back to scrolling the page
+                if (!this.canMove(direction)) return;
+                e.preventDefault();
+
+                // One slide per wheel gesture, not one per wheel event
+                if (isLocked) return;
+                isLocked = true;
+                setTimeout(() => { isLocked = false; }, 400);
+
+                if (direction > 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+            }, { passive: false });
+        }
+
+        handleKeydown(e) {
+            const isRTL = this.getDirection() < 0;
+            const actions = {
+                ArrowLeft: () => (isRTL ? this.next() : this.prev()),
+                ArrowRight: () => (isRTL ? this.prev() : this.next()),
+                Home: () => this.goTo(0),
+                End: () => this.goTo(this.getMaxIndex())
+            };
+            if (!actions[e.key]) return;
+
+            e.preventDefault();
+            actions[e.key]();
+            // Arrow keys on a tab move focus along with the selection
+            if (this.dots.includes(e.target)) this.dots[this.currentIndex]?.focus();
+        }
+
+        handleResize() {
+            this.slidesPerView = this.getSlidesPerView();
+            this.currentIndex = Math.min(this.currentIndex, this.getMaxIndex());
+            this.update();
+        }
+
+        getSlidesPerView() {
+            const width = window.innerWidth;
+            return Object.entries(this.options.breakpoints)
+                .map(([minWidth, count]) => [Number(minWidth), count])
+                .sort((a, b) => a[0] - b[0])
+                .reduce((perView, [minWidth, count]) => (width >= minWidth ? count : perView), 1);
+        }
+
+        getMaxIndex() {
+            const perView = this.options.mode === 'fade' ? 1 : this.slidesPerView;
+            return Math.max(0, this.slides.length - perView);
+        }
+
+        /**
+         * Gap between slides as set in CSS, so spacing changes need no JS edits
+         */
+        getGap() {
+            return parseFloat(getComputedStyle(this.track).columnGap) || 0;
+        }
+
+        getOffset() {
+            if (this.options.mode !== 'slide') return 0;
+            return -(this.currentIndex * this.getStep());
+        }
+
+        canMove(direction) {
+            if (this.options.loop) return this.getMaxIndex() > 0;
+            return direction > 0 ? this.currentIndex < this.getMaxIndex() : this.currentIndex > 0;
+        }
+
+        next() {
+            this.goTo(this.currentIndex + 1);
+        }
+
+        prev() {
+            this.goTo(this.currentIndex - 1);
+        }
+
+        goTo(index, { announce = true } = {}) {
+            const count = this.getMaxIndex() + 1;
+            const target = this.options.loop
+                ? ((index % count) + count) % count
+                : Math.max(0, Math.min(index, count - 1));
+            const previousIndex = this.currentIndex;
+
+            this.currentIndex = target;
+            this.update();
+
+            // Manual navigation restarts the countdown instead of jumping again right away
+            if (this.autoplayTimer) this.startAutoplay();
+
+            if (target !== previousIndex) {
+                // Autoplay stays silent, screen reader users hear only the changes they asked for
+                if (announce && this.liveRegion) this.liveRegion.textContent = this.getPositionText();
+                // Bubbles so page-wide listeners (analytics) can tell visitor moves from autoplay ones
+                this.container.dispatchEvent(new CustomEvent('slidechange', {
+                    bubbles: true,
+                    detail: { index: target, previousIndex, userInitiated: announce }
+                }));
+            }
+        }
+
+        update() {
+            if (this.options.mode === 'fade') {
+                this.slides.forEach((slide, index) => {
+                    slide.classList.toggle(this.options.activeClass, index === this.currentIndex);
+                });
+            } else {
+                this.track.style.transition = prefersReducedMotion() ? 'none' : '';
+                this.track.style.transform = `translateX(${this.getOffset() * this.getDirection()}px)`;
+            }
+
+            // Slides out of view are removed from the tab order and the accessibility tree
+            const lastVisible = this.currentIndex + (this.options.mode === 'fade' ? 1 : this.slidesPerView) - 1;
+            this.slides.forEach((slide, index) => {
+                slide.toggleAttribute('inert', index < this.currentIndex || index > lastVisible);
+            });
+
+            this.dots.forEach((dot, index) => {
+                const isActive = index === this.currentIndex;
+                if (this.options.dotActiveClass) dot.classList.toggle(this.options.dotActiveClass, isActive);
+                dot.setAttribute('aria-selected', isActive);
+                dot.tabIndex = isActive ? 0 : -1;
+            });
+
+            if (!this.options.loop) {
+                const maxIndex = this.getMaxIndex();
+                if (this.prevBtn) {
+                    this.prevBtn.disabled = this.currentIndex === 0;
+                    this.prevBtn.setAttribute('aria-disabled', this.currentIndex === 0);
+                }
+                if (this.nextBtn) {
+                    this.nextBtn.disabled = this.currentIndex === maxIndex;
+                    this.nextBtn.setAttribute('aria-disabled', this.currentIndex === maxIndex);
+                }
+            }
+        }
+
+        startAutoplay() {
+            if (!this.options.autoplay || !this.isActive || this.isPaused || prefersReducedMotion()) return;
+            if (this.isOffscreen || document.hidden) return;
+
+            this.stopAutoplay();
+            this.autoplayTimer = setInterval(() => {
+                // Autoplay always wraps, even on carousels that clamp manual navigation
+                this.goTo(this.currentIndex >= this.getMaxIndex() ? 0 : this.currentIndex + 1, { announce: false });
+            }, this.options.autoplay);
+        }
+
+        stopAutoplay() {
+            clearInterval(this.autoplayTimer);
+            this.autoplayTimer = null;
+        }
+
+        toggleAutoplay() {
+            this.isPaused = !this.isPaused;
+            if (this.isPaused) {
+                this.stopAutoplay();
+            } else {
+                this.startAutoplay();
+            }
+            this.updateAutoplayUI();
+        }
+
+        updateAutoplayUI() {
+            if (!this.pauseBtn) return;
+            this.pauseBtn.setAttribute('aria-label', t(this.isPaused ? 'Play slideshow' : 'Pause slideshow'));
+            const icon = this.pauseBtn.querySelector('span');
+            if (icon) icon.textContent = this.isPaused ? '▶' : '⏸';
+        }
+
+        /**
+         * Stop timers and observers and remove every listener, including the window ones
+         */
+        destroy() {
+            this.stopAutoplay();
+            this.visibilityObserver?.disconnect();
+            this.viewportObserver?.disconnect();
+            this.drag?.destroy();
+            this.visibilityObserver = null;
+            this.viewportObserver = null;
+            this.listeners?.abort();
+            this.listeners = null;
+            this.isActive = false;
+
+            if (this.track) {
+                this.track.style.transform = '';
+                this.track.style.transition = '';
+            }
+            this.container.classList.remove('is-dragging');
+            this.slides.forEach(slide => slide.removeAttribute('inert'));
+            this.liveRegion?.remove();
+            if (this.createdPauseBtn) this.pauseBtn.remove();
+        }
+    }
+
     // Hero Slider
     // ==========================================================================
 
-    class HeroSlider {
-        constructor(container) {
-            this.container = container;
-            this.track = container.querySelector('.hero__slider-track');
-            this.slides = container.querySelectorAll('.hero__slide');
-            this.prevBtn = container.querySelector('.hero__slider-control--prev');
-            this.nextBtn = container.querySelector('.hero__slider-control--next');
-            this.pauseBtn = container.querySelector('.hero__slider-pause');
-            
-            this.currentSlide = 0;
-            this.isPaused = false;
-            this.autoplayInterval = null;
-            this.autoplayDelay = 5000;
+    const HERO_DEFAULTS = {
+        configUrl: null,            // defaults to the `hero` block of the current event
+        mode: null,                 // 'grid' | 'slideshow', overrides the config
+        interval: 5000
+    };
+
+    class HeroSlideshow extends Carousel {
+        constructor(container, options = {}) {
+            super(container, {
+                track: '.hero__slider-track',
+                slides: '.hero__slide',
+                prev: '.hero__slider-control--prev',
+                next: '.hero__slider-control--next',
+                pause: '.hero__slider-pause',
+                mode: 'fade',
+                activeClass: 'hero__slide--active',
+                loop: true,
+                autoplay: 5000,
+                ...options
+            });
+        }
+
+        handleKeydown(e) {
+            if (e.key === ' ') {
+                e.preventDefault();
+                this.toggleAutoplay();
+                return;
+            }
+            super.handleKeydown(e);
+        }
+    }
+
+    /**
+     * Drives the floating photo grid, or swaps it for a captioned slideshow when the config asks for one
+     */
+    class HeroSlider {
+        constructor(container, options = {}) {
+            this.container = container;
+            this.options = { ...HERO_DEFAULTS, ...options };
+            this.grid = container.querySelector('.hero__floating-grid');
+            this.pauseBtn = container.querySelector('.hero__slider-pause');
+            this.isPaused = false;
+
+            this.init();
+        }
+
+        async init() {
+            // The grid runs straight away, the config may replace it once loaded
+            this.initGrid();
+
+            let config = {};
+            try {
+                config = this.options.configUrl
+                    ? await loadJSON(this.options.configUrl)
+                    : (await loadEvent()).hero || {};
+            } catch (err) {
+                console.warn('HeroSlider: could not load config, keeping the photo grid', err);
+            }
+
+            const mode = this.options.mode || config.mode || 'grid';
+            if (mode === 'slideshow' && config.slides?.length) {
+                this.showSlideshow(config.slides, config.interval || this.options.interval);
+            }
+        }
+
+        initGrid() {
+            if (!this.grid) return;
+            this.container.classList.add('hero__slider--grid');
+            this.tracks = [...this.grid.querySelectorAll('.track')];
+            this.gridListeners = new AbortController();
+
+            if (!this.pauseBtn) return;
+            this.pauseBtn.setAttribute('aria-controls', this.grid.id || (this.grid.id = createId('hero-grid')));
+            this.pauseBtn.addEventListener('click', () => this.setPaused(!this.isPaused), { signal: this.gridListeners.signal });
+            document.addEventListener('localeChange', () => this.setPaused(this.isPaused), { signal: this.gridListeners.signal });
+            document.addEventListener('motionPreferenceChange', () => this.updateMotion(), { signal: this.gridListeners.signal });
+            this.setPaused(false);
+            this.updateMotion();
+        }
+
+        /**
+         * Nothing moves with reduced motion (the stylesheet stops the columns), so there is nothing to pause
+         */
+        updateMotion() {
+            if (this.pauseBtn) this.pauseBtn.hidden = prefersReducedMotion();
+        }
+
+        setPaused(isPaused) {
+            this.isPaused = isPaused;
+            // Cleared rather than set to running, so the hover pause in the stylesheet keeps working
+            this.tracks.forEach(track => { track.style.animationPlayState = isPaused ? 'paused' : ''; });
+            this.pauseBtn.setAttribute('aria-label', t(isPaused ? 'Play moving images' : 'Pause moving images'));
+            const icon = this.pauseBtn.querySelector('span');
+            if (icon) icon.textContent = isPaused ? '▶' : '⏸';
+        }
+
+        showSlideshow(slides, interval) {
+            this.gridListeners?.abort();
+            if (this.grid) this.grid.hidden = true;
+            this.container.classList.remove('hero__slider--grid');
+            this.container.classList.add('hero__slider--slideshow');
+            this.pauseBtn?.removeAttribute('aria-controls');
+
+            this.container.insertAdjacentHTML('beforeend', `
+                <div class="hero__slider-track">
+                    ${slides.map((slide, index) => `
+                        <figure class="hero__slide">
+                            <img src="${escapeHTML(slide.src)}" alt="${escapeHTML(slide.alt || '')}" class="hero__slide-image" data-i18n-attr="alt"${index ? ' loading="lazy"' : ''}>
+                            ${slide.caption ? `<figcaption class="hero__slide-caption" data-i18n>${escapeHTML(slide.caption)}</figcaption>` : ''}
+                        </figure>
+                    `).join('')}
+                </div>
+                <button type="button" class="hero__slider-control hero__slider-control--prev" aria-label="Previous photo" data-i18n-attr="aria-label">
+                    <span aria-hidden="true">‹</span>
+                </button>
+                <button type="button" class="hero__slider-control hero__slider-control--next" aria-label="Next photo" data-i18n-attr="aria-label">
+                    <span aria-hidden="true">›</span>
+                </button>
+            `);
+            i18n.translate(this.container);
+
+            this.updateMotion();
+            document.addEventListener('motionPreferenceChange', () => this.updateMotion());
+            this.slideshow = new HeroSlideshow(this.container, { autoplay: interval });
+        }
+    }
+
+    // Event Status (countdown before the event, opening status during, interest list after)
+    // ==========================================================================
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const INTEREST_ENDPOINT = '/api/interest';
+
+    class EventStatus {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = options;
+            this.text = element.querySelector('.hero__status-text');
+            this.action = element.querySelector('.hero__status-action');
+            this.timer = null;
+            this.lastMessage = null;
+
+            this.init();
+        }
+
+        async init() {
+            try {
+                this.event = await loadEvent();
+            } catch (err) {
+                return;
+            }
+
+            this.sessions = this.event.days.map(day => ({
+                day,
+                opensAt: toEventTime(day.date, this.event.opensAt),
+                closesAt: toEventTime(day.date, this.event.closesAt)
+            }));
+
+            document.addEventListener('localeChange', () => {
+                this.lastMessage = null;
+                this.update();
+                if (this.state?.phase === 'ended') this.options.onEnded?.();
+            });
+
+            // No ticking in a background tab, catch up as soon as it is visible again
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    this.stop();
+                } else {
+                    this.start();
+                }
+            });
+            this.start();
+        }
+
+        start() {
+            this.stop();
+            this.update();
+            if (this.state?.phase !== 'ended') this.timer = setInterval(() => this.update(), 1000);
+        }
+
+        stop() {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        /**
+         * Where the event stands at an instant: upcoming, open, closed (between days) or ended
+         */
+        getState(now = Date.now()) {
+            const first = this.sessions[0];
+            const last = this.sessions[this.sessions.length - 1];
+
+            if (now < first.opensAt) return { phase: 'upcoming', session: first };
+            if (now >= last.closesAt) return { phase: 'ended' };
+
+            const current = this.sessions.find(session => now >= session.opensAt && now < session.closesAt);
+            if (current) return { phase: 'open', session: current };
+            return { phase: 'closed', session: this.sessions.find(session => session.opensAt > now) };
+        }
+
+        getMessage({ phase, session }, now) {
+            const opensAt = formatShortTime(this.event.opensAt);
+
+            if (phase === 'upcoming') {
+                return escapeHTML(t('Doors open in')) + ' <span class="hero__status-countdown" aria-hidden="true"></span>' +
+                    `<span class="visually-hidden">${escapeHTML(t('{day} at {time}', { day: formatDayLabel(session.day.date), time: opensAt }))}</span>`;
+            }
+            if (phase === 'open') {
+                return escapeHTML(t('Happening now — open until {time}', { time: formatShortTime(this.event.closesAt) }));
+            }
+            if (phase === 'closed') {
+                const today = toEventDate(now);
+                const tomorrow = toEventDate(now + DAY_MS);
+                const message = session.day.date === today ? t('Reopens today at {time}', { time: opensAt })
+                    : session.day.date === tomorrow ? t('Reopens tomorrow at {time}', { time: opensAt })
+                    : t('Reopens on {day} at {time}', { day: formatDayLabel(session.day.date), time: opensAt });
+                return escapeHTML(message);
+            }
+            return escapeHTML(t('This edition has ended — register interest for the next one'));
+        }
+
+        update() {
+            const now = Date.now();
+            const previous = this.state;
+            this.state = this.getState(now);
+            const message = this.getMessage(this.state, now);
+
+            // Only rewrite when the wording changes, so the status region announces changes, not ticks
+            if (message !== this.lastMessage) {
+                this.lastMessage = message;
+                this.text.innerHTML = message;
+                this.renderAction(this.state.phase);
+                this.element.dataset.phase = this.state.phase;
+                this.element.hidden = false;
+            }
+
+            if (this.state.phase === 'upcoming') {
+                const countdown = this.text.querySelector('.hero__status-countdown');
+                if (countdown) countdown.textContent = this.formatCountdown(this.state.session.opensAt - now);
+            }
+
+            if (this.state.phase === 'ended' && previous?.phase !== 'ended') {
+                this.stop();
+                this.options.onEnded?.();
+            }
+        }
+
+        renderAction(phase) {
+            if (!this.action) return;
+
+            if (phase === 'open' || phase === 'closed') {
+                const venue = [this.event.venue?.name, this.event.venue?.address].filter(Boolean).join(', ');
+                this.action.href = this.event.venue?.mapUrl ||
+                    `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(venue)}`;
+                this.action.target = '_blank';
+                this.action.rel = 'noopener';
+                this.action.textContent = t('Get directions');
+                this.action.hidden = false;
+            } else if (phase === 'ended') {
+                this.action.href = '#enquire';
+                this.action.removeAttribute('target');
+                this.action.textContent = t('Register interest');
+                this.action.hidden = false;
+            } else {
+                this.action.hidden = true;
+            }
+        }
+
+        /**
+         * "12d 04h 05m 09s", days left out on the final day
+         */
+        formatCountdown(ms) {
+            const seconds = Math.max(0, Math.floor(ms / 1000));
+            const pad = value => String(value).padStart(2, '0');
+            const days = Math.floor(seconds / 86400);
+            const params = {
+                days,
+                hours: pad(Math.floor(seconds / 3600) % 24),
+                minutes: pad(Math.floor(seconds / 60) % 60),
+                seconds: pad(seconds % 60)
+            };
+            return days ? t('{days}d {hours}h {minutes}m {seconds}s', params) : t('{hours}h {minutes}m {seconds}s', params);
+        }
+    }
+
+    /**
+     * After the event the hero enquiry form collects interest in the next edition instead
+     */
+    function switchToInterestList(form, validator) {
+        const aside = form.closest('.hero__form');
+        const title = aside?.querySelector('.hero__form-title');
+        if (title) title.textContent = t('Join the Interest List');
+        aside?.setAttribute('aria-label', t('Interest list for the next edition'));
+
+        const label = form.querySelector('.enquiry-form__submit .animated-btn__text');
+        if (label) label.textContent = t('NOTIFY ME');
+
+        form.dataset.endpoint = INTEREST_ENDPOINT;
+        if (validator) validator.endpoint = INTEREST_ENDPOINT;
+    }
+
+    // Choose School Slider
+    // ==========================================================================
+
+    class ChooseSchoolSlider extends Carousel {
+        constructor(container, options = {}) {
+            super(container, {
+                track: '.choose-school__track',
+                slides: '.choose-school__card',
+                prev: '.choose-school__nav--prev',
+                next: '.choose-school__nav--next',
+                dots: '.choose-school__dot',
+                dotActiveClass: 'choose-school__dot--active',
+                breakpoints: { 0: 1, 768: 2, 1024: 4 },
+                ...options
+            });
+        }
+
+        bindEvents() {
+            super.bindEvents();
+
+            // The whole card opens the school finder in place instead of reloading the page
+            this.listen(this.track, 'click', (e) => {
+                const link = e.target.closest('.choose-school__card')?.querySelector('.choose-school__link');
+                if (!link || !this.options.onSelect) return;
+                e.preventDefault();
+                this.options.onSelect(link.dataset.category, link);
+            });
+        }
+    }
+
+    // School Logos Slider (gesture enabled)
+    // ========================================================================== 
+
+    class SchoolLogosSlider {
+        constructor(containers, options = {}) {
+            // Accept NodeList or selector
+            this.containers = (typeof containers === 'string') ? document.querySelectorAll(containers) : containers;
+            this.options = options;
+            this.init();
+        }
+
+        async init() {
+            if (!this.containers || this.containers.length === 0) return;
+
+            let schools;
+            try {
+                ({ schools } = await loadSchools());
+            } catch (err) {
+                console.warn('SchoolLogosSlider: could not load schools', err);
+                this.containers[0].closest('.participating-schools')?.setAttribute('hidden', '');
+                return;
+            }
+
+            this.containers.forEach(container => {
+                this.renderTrack(container, schools);
+                this.setupContainer(container);
+            });
+        }
+
+        /**
+         * One row of logos followed by a copy for the seamless loop, hidden from assistive tech
+         */
+        renderTrack(container, schools) {
+            const track = container.querySelector('.participating-schools__track');
+            if (!track) return;
+
+            // Only the first copy is focusable, clones exist for the visual loop
+            const shortlist = this.options.shortlist;
+            const renderLogo = (school, isClone) => `
+                <div class="participating-schools__item"${isClone ? ' aria-hidden="true"' : ''}>
+                    <div class="participating-schools__logo" data-school-id="${escapeHTML(school.id)}"${isClone ? '' : ' tabindex="0" role="button"'}>
+                        <img src="${escapeHTML(school.logo)}" alt="${isClone ? '' : escapeHTML(school.name)}" loading="lazy" draggable="false">
+                    </div>
+                    ${shortlist ? shortlist.renderToggle(school, { isClone }) : ''}
+                </div>
+            `;
+
+            track.innerHTML = schools.map(school => renderLogo(school, false)).join('') +
+                schools.map(school => renderLogo(school, true)).join('');
+        }
+
+        setupContainer(container) {
+            const track = container.querySelector('.participating-schools__track');
+            if (!track) return;
+
+            // Make container scrollable horizontally and enable smooth interaction
+            container.style.overflowX = 'auto';
+            container.style.scrollBehavior = 'smooth';
+            container.classList.add('logos-scrollable');
+            container.tabIndex = 0;
+
+            // Drag with momentum, springing back from either end
+            let startScroll = 0;
+            let stopGlide = null;
+
+            new PointerDrag(container, {
+                onStart: () => {
+                    stopGlide?.();
+                    startScroll = container.scrollLeft;
+                },
+                onMove: (deltaX) => {
+                    container.classList.add('is-dragging');
+                    container.style.scrollBehavior = 'auto';
+                    track.style.transition = 'none';
+
+                    const target = startScroll - deltaX;
+                    const max = container.scrollWidth - container.clientWidth;
+                    const clamped = Math.max(0, Math.min(target, max));
+                    container.scrollLeft = clamped;
+                    track.style.transform = clamped === target
+                        ? ''
+                        : `translateX(${rubberBand(clamped - target, container.clientWidth)}px)`;
+                },
+                onEnd: ({ velocity, wasDragged }) => {
+                    container.classList.remove('is-dragging');
+                    track.style.transition = prefersReducedMotion() ? 'none' : 'transform 0.3s ease-out';
+                    track.style.transform = '';
+
+                    const restore = () => { container.style.scrollBehavior = 'smooth'; };
+                    if (wasDragged) container.dispatchEvent(new CustomEvent('logodrag', { bubbles: true }));
+                    if (wasDragged && !prefersReducedMotion()) {
+                        stopGlide = momentumScroll(container, -velocity, restore);
+                    } else {
+                        restore();
+                    }
+                }
+            });
+
+            // Wheel -> horizontal scroll
+            container.addEventListener('wheel', (e) => {
+                // Ctrl/⌘ + wheel is the browser's zoom
+                if (e.ctrlKey || e.metaKey) return;
+                // Prefer horizontal scroll when available, else map vertical to horizontal
+                const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+                container.scrollLeft += delta;
+                e.preventDefault();
+            }, { passive: false });
+
+            // Keyboard navigation
+            container.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowLeft') container.scrollLeft -= 200;
+                if (e.key === 'ArrowRight') container.scrollLeft += 200;
+                if (e.key === 'Home') container.scrollLeft = 0;
+                if (e.key === 'End') container.scrollLeft = container.scrollWidth;
+
+                const logo = e.target.closest?.('.participating-schools__logo');
+                if (logo && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.select(logo);
+                }
+            });
+
+            // Clicks that end a drag never get here, PointerDrag swallows them
+            container.addEventListener('click', (e) => {
+                const logo = e.target.closest('.participating-schools__logo');
+                if (logo) this.select(logo);
+            });
+        }
+
+        select(logo) {
+            // Clones stand in for the logo they copy, focus returns to the focusable original
+            const id = logo.dataset.schoolId;
+            const original = logo.closest('.participating-schools__track')
+                .querySelector(`.participating-schools__item:not([aria-hidden]) .participating-schools__logo[data-school-id="${CSS.escape(id)}"]`);
+            this.options.onSelect?.(id, original || logo);
+        }
+    }
+
+    // Exhibition Benefits Slider
+    // ==========================================================================
+
+    class ExhibitionBenefitsSlider extends Carousel {
+        constructor(container, options = {}) {
+            super(container, {
+                track: '.exhibition-benefits__track',
+                slides: '.exhibition-benefits__card',
+                prev: '.exhibition-benefits__nav--prev',
+                next: '.exhibition-benefits__nav--next',
+                breakpoints: { 0: 1, 768: 2, 1024: 4 },
+                wheel: true,
+                lazy: true,
+                ...options
+            });
+        }
+    }
+
+    // Submission Queue (offline-safe delivery of enquiries)
+    // ==========================================================================
+
+    const SUBMISSION_DEFAULTS = {
+        endpoint: '/api/enquiries',
+        storageKey: 'pse-submission-queue',
+        timeout: 10000,
+        baseDelay: 2000,            // first retry after 2s, doubled on every failure
+        maxDelay: 5 * 60 * 1000,    // never wait longer than 5 minutes between retries
+        maxAttempts: 8,             // after this only `online` or the next page load retry
+        retention: 7 * 24 * 60 * 60 * 1000  // unsent personal data is deleted from the device after 7 days
+    };
+
+    class SubmissionQueue {
+        constructor(options = {}) {
+            this.options = { ...SUBMISSION_DEFAULTS, ...options };
+            this.retryTimer = null;
+            this.isFlushing = false;
+
+            this.init();
+        }
+
+        init() {
+            window.addEventListener('online', () => this.flush({ force: true }));
+
+            // Anything left over from a previous visit gets another chance on load, unless it is too old to keep
+            this.purgeExpired();
+            this.flush({ force: true });
+        }
+
+        getEntries() {
+            return storage.get(this.options.storageKey, []);
+        }
+
+        /**
+         * False when the entries could not be written, e.g. storage is full or blocked
+         */
+        saveEntries(entries) {
+            if (entries.length) return storage.set(this.options.storageKey, entries);
+            storage.remove(this.options.storageKey);
+            return true;
+        }
+
+        /**
+         * Deliver a payload, falling back to the persistent queue when offline or on failure.
+         * Resolves with { status: 'sent' | 'queued' | 'failed', entry }, 'failed' when it could not be queued either.
+         */
+        async submit(payload, endpoint = this.options.endpoint) {
+            const entry = {
+                id: payload.id || createId('sub'),
+                endpoint,
+                payload,
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: 0
+            };
+
+            if (navigator.onLine === false) {
+                return { status: this.enqueue(entry) ? 'queued' : 'failed', entry };
+            }
+
+            try {
+                await this.send(entry);
+                this.emit('submissionSent', entry);
+                return { status: 'sent', entry };
+            } catch (err) {
+                this.markFailed(entry, err);
+                return { status: this.enqueue(entry) ? 'queued' : 'failed', entry, error: err };
+            }
+        }
+
+        async send(entry) {
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+
+            try {
+                const response = await fetch(entry.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': entry.id
+                    },
+                    body: JSON.stringify(entry.payload),
+                    signal: controller?.signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Request failed with status ${response.status}`);
+                }
+                return response;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        /**
+         * False when the entry could not be stored, so nothing will retry it
+         */
+        enqueue(entry) {
+            const entries = this.getEntries().filter(item => item.id !== entry.id);
+            entries.push(entry);
+            if (!this.saveEntries(entries)) {
+                console.warn('SubmissionQueue: could not store the submission for retry', entry.id);
+                return false;
+            }
+            this.emit('submissionQueued', entry);
+            this.scheduleRetry();
+            return true;
+        }
+
+        markFailed(entry, err) {
+            entry.attempts++;
+            entry.lastError = err.message;
+
+            const delay = Math.min(this.options.maxDelay, this.options.baseDelay * Math.pow(2, entry.attempts - 1));
+            // Jitter keeps a room full of kiosks from retrying in lockstep when the Wi-Fi comes back
+            entry.nextAttemptAt = Date.now() + delay * (0.75 + Math.random() * 0.5);
+        }
+
+        /**
+         * Try every queued entry that is due. `force` ignores backoff and the attempt cap.
+         */
+        async flush({ force = false } = {}) {
+            if (this.isFlushing || navigator.onLine === false) return;
+            this.isFlushing = true;
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+
+            try {
+                this.purgeExpired();
+                const now = Date.now();
+                const due = this.getEntries().filter(entry => force ||
+                    (entry.nextAttemptAt <= now && entry.attempts < this.options.maxAttempts));
+
+                for (const entry of due) {
+                    try {
+                        await this.send(entry);
+                        this.remove(entry.id);
+                        this.emit('submissionSent', entry);
+                    } catch (err) {
+                        this.markFailed(entry, err);
+                        this.update(entry);
+                        this.emit('submissionFailed', entry);
+                    }
+                }
+            } finally {
+                this.isFlushing = false;
+                this.scheduleRetry();
+            }
+        }
+
+        update(entry) {
+            this.saveEntries(this.getEntries().map(item => (item.id === entry.id ? entry : item)));
+        }
+
+        /**
+         * Delete entries older than the retention period rather than keep retrying them forever
+         */
+        purgeExpired() {
+            const cutoff = Date.now() - this.options.retention;
+            const entries = this.getEntries();
+            const expired = entries.filter(entry => entry.createdAt < cutoff);
+            if (!expired.length) return;
+
+            this.saveEntries(entries.filter(entry => entry.createdAt >= cutoff));
+            expired.forEach(entry => this.emit('submissionExpired', entry));
+        }
+
+        remove(id) {
+            this.saveEntries(this.getEntries().filter(item => item.id !== id));
+        }
+
+        scheduleRetry() {
+            if (this.retryTimer || this.isFlushing) return;
+
+            const pending = this.getEntries().filter(entry => entry.attempts < this.options.maxAttempts);
+            if (pending.length === 0) return;
+
+            const nextAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.flush();
+            }, Math.max(0, nextAt - Date.now()));
+        }
+
+        emit(type, entry) {
+            document.dispatchEvent(new CustomEvent(type, { detail: { entry } }));
+        }
+    }
+
+    // Offline Support (service worker, Background Sync and update prompt)
+    // ==========================================================================
+
+    const SERVICE_WORKER_URL = 'sw.js';
+    // Matches SUBMISSION_SYNC_TAG in sw.js
+    const SUBMISSION_SYNC_TAG = 'pse-submissions';
+
+    class OfflineSupport {
+        constructor(options = {}) {
+            this.queue = options.queue || null;
+            this.toast = options.toast || null;
+            this.registration = null;
+            this.waitingWorker = null;
+            this.isReloading = false;
+
+            this.init();
+        }
+
+        async init() {
+            if (!('serviceWorker' in navigator)) return;
+
+            try {
+                this.registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+            } catch (err) {
+                console.warn('OfflineSupport: could not register the service worker', err);
+                return;
+            }
+
+            this.bindToast();
+            this.watchForUpdates();
+
+            // The worker wakes the queue up when Background Sync says the connection is back
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data?.type === 'FLUSH_SUBMISSIONS') this.queue?.flush({ force: true });
+            });
+            document.addEventListener('submissionQueued', () => this.requestSync());
+            if (this.queue?.getEntries().length) this.requestSync();
+        }
+
+        /**
+         * Background Sync retries even after the tab is backgrounded; without it the queue's own timers and `online` do
+         */
+        requestSync() {
+            this.registration?.sync?.register(SUBMISSION_SYNC_TAG).catch(() => {});
+        }
+
+        watchForUpdates() {
+            const registration = this.registration;
+            // Only an update has a controller already, the first install needs no prompt
+            if (registration.waiting && navigator.serviceWorker.controller) this.showUpdate(registration.waiting);
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showUpdate(worker);
+                });
+            });
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this.isReloading) return;
+                window.location.reload();
+            });
+
+            // Parents come back to the tab on the day, check for a new build each time
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') registration.update().catch(() => {});
+            });
+        }
+
+        bindToast() {
+            if (!this.toast) return;
+
+            this.toast.querySelector('.update-toast__reload')?.addEventListener('click', () => {
+                if (!this.waitingWorker) return;
+                this.isReloading = true;
+                this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            });
+            this.toast.querySelector('.update-toast__dismiss')?.addEventListener('click', () => {
+                this.toast.hidden = true;
+            });
+        }
+
+        showUpdate(worker) {
+            this.waitingWorker = worker;
+            if (this.toast) this.toast.hidden = false;
+        }
+    }
+
+    // Privacy & Consent (DPDP Act)
+    // ==========================================================================
+
+    // Bump the version whenever a purpose or the privacy notice is reworded, so every stored
+    // consent can be traced back to the exact text the parent agreed to
+    const CONSENT_VERSION = '2025-07-v4';
+    const CONSENT_PURPOSES = [
+        { id: 'contact', text: 'Premier Schools Exhibition may call or message me on this number about my enquiry and visit.' },
+        { id: 'share', text: 'Share my details with the schools I choose or shortlist, so they can contact me about admissions.' },
+        { id: 'marketing', text: 'Tell me about future exhibitions and offers from participating schools.' },
+        { id: 'analytics', text: 'Count anonymous usage statistics on this device to help improve this page.' }
+    ];
+    const CONSENT_LOG_KEY = 'pse-consent';
+    const PRIVACY_ENDPOINT = '/api/privacy-requests';
+
+    /**
+     * Schema for a form's consent checkboxes, the listed purposes must be ticked to submit
+     */
+    function consentSchema(requiredPurposes, message) {
+        return {
+            required: true,
+            requiredPurposes,
+            validate: value => requiredPurposes.every(purpose => value.includes(purpose)),
+            messages: { required: message, validate: message }
+        };
+    }
+
+    /**
+     * What the parent agreed to, sent and stored with the submission it came with
+     */
+    function createConsentRecord(purposes = []) {
+        return {
+            version: CONSENT_VERSION,
+            purposes: Object.fromEntries(CONSENT_PURPOSES.map(({ id }) => [id, purposes.includes(id)])),
+            language: i18n.locale,
+            givenAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Note which submissions carried consent, so it can be withdrawn from this device later
+     */
+    function logConsent(submissionId, endpoint, consent) {
+        if (!consent) return;
+        storage.set(CONSENT_LOG_KEY, storage.get(CONSENT_LOG_KEY, []).concat({ submissionId, endpoint, ...consent }));
+        // Usage statistics are a setting of this device, so ticking them only ever switches them on
+        if (consent.purposes.analytics && !Analytics.isEnabled()) Analytics.setEnabled(true);
+    }
+
+    /**
+     * One checkbox per consent purpose, rendered before the form's validator starts
+     */
+    class ConsentFields {
+        constructor(fieldset) {
+            this.fieldset = fieldset;
+            this.form = fieldset.closest('form');
+            this.options = fieldset.querySelector('.consent__options');
+
+            const schema = FORM_SCHEMAS[this.form?.dataset.schema]?.consent || {};
+            this.requiredPurposes = schema.requiredPurposes || [];
+
+            this.init();
+        }
+
+        init() {
+            if (!this.options) return;
+
+            const prefix = this.form?.dataset.schema || 'form';
+            this.options.innerHTML = CONSENT_PURPOSES.map(purpose => {
+                const isRequired = this.requiredPurposes.includes(purpose.id);
+                return `
+                    <label class="consent__option">
+                        <input type="checkbox" name="consent" value="${purpose.id}" id="${prefix}-consent-${purpose.id}">
+                        <span>
+                            <span data-i18n>${escapeHTML(purpose.text)}</span>
+                            ${isRequired ? '<span class="consent__required" data-i18n>(required)</span>' : '<span class="consent__optional" data-i18n>(optional)</span>'}
+                        </span>
+                    </label>
+                `;
+            }).join('');
+            i18n.translate(this.options);
+        }
+    }
+
+    // Form Validation
+    // ==========================================================================
+
+    /**
+     * Replace {param} placeholders in a message
+     */
+    function formatMessage(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+    }
+
+    /**
+     * Empty means nothing entered, nothing selected or an unchecked checkbox
+     */
+    function isEmptyValue(value) {
+        return value === undefined || value === null || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Built-in rules. `test(value, param, context)` returns true when valid.
+     * Every rule except `required` is skipped for empty values.
+     */
+    const VALIDATION_RULES = {
+        required: {
+            test: (value, param) => !param || !isEmptyValue(value),
+            message: 'This field is required'
+        },
+        minLength: {
+            test: (value, min) => String(value).length >= min,
+            message: 'Please enter at least {param} characters'
+        },
+        maxLength: {
+            test: (value, max) => String(value).length <= max,
+            message: 'Please enter no more than {param} characters'
+        },
+        pattern: {
+            // String patterns behave like the HTML attribute and must match the whole value
+            test: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`)).test(value),
+            message: 'Please match the requested format'
+        },
+        phone: {
+            test: value => /^[0-9]{10}$/.test(value),
+            message: 'Please enter a valid 10-digit phone number'
+        },
+        email: {
+            test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            message: 'Please enter a valid email address'
+        },
+        enum: {
+            test: (value, allowed) => [].concat(value).every(item => allowed.includes(item)),
+            message: 'Please choose one of the available options'
+        },
+        min: {
+            test: (value, min) => Number(value) >= min,
+            message: 'Please enter a value of at least {param}'
+        },
+        max: {
+            test: (value, max) => Number(value) <= max,
+            message: 'Please enter a value no greater than {param}'
+        },
+        minItems: {
+            test: (value, min) => [].concat(value).length >= min,
+            message: 'Please select at least {param}'
+        },
+        maxItems: {
+            test: (value, max) => [].concat(value).length <= max,
+            message: 'Please select no more than {param}'
+        },
+        matches: {
+            test: (value, otherField, context) => value === context.values[otherField],
+            message: 'This field does not match'
+        }
+    };
+
+    /**
+     * Grades offered across participating schools, in admission order
+     */
+    const GRADES = [
+        { value: 'pre-nursery', label: 'Pre-Nursery' },
+        { value: 'nursery', label: 'Nursery' },
+        { value: 'lkg', label: 'LKG' },
+        { value: 'ukg', label: 'UKG' },
+        ...Array.from({ length: 12 }, (_, i) => ({ value: `grade-${i + 1}`, label: `Grade ${i + 1}` }))
+    ];
+
+    /**
+     * Academic sessions open for admission: the current one and the next two
+     */
+    function getAdmissionYears() {
+        const year = new Date().getFullYear();
+        return [year, year + 1, year + 2].map(start => ({
+            value: start,
+            label: `${start}–${String(start + 1).slice(-2)}`
+        }));
+    }
+
+    /**
+     * Parent contact fields shared by the enquiry, booking and registration forms
+     */
+    const PARENT_FIELDS_SCHEMA = {
+        'parent-name': {
+            required: true,
+            minLength: 2,
+            maxLength: 80
+        },
+        'phone-number': {
+            required: true,
+            phone: true
+        }
+    };
+
+    /**
+     * Declarative validation schemas, picked by a form's data-schema attribute.
+     * Keys are control names. Besides the rules above a field may define:
+     *   validate(value, values)       sync check, returns true or an error message (cross-field rules)
+     *   validateAsync(value, values)  Promise resolving to true or an error message
+     *   dependsOn: ['name']           re-check this field when those fields change
+     *   parse(value)                  convert the raw control value for the submitted payload
+     *   messages: { rule: 'text' }    override the default message per rule
+     *
+     * A `collection: true` entry describes repeated rows whose controls are named
+     * `key[index][field]`; its `fields` are validated per row, `minItems`/`maxItems`
+     * apply to the number of rows and getValues() returns the rows as an array.
+     */
+    const FORM_SCHEMAS = {
+        enquiry: {
+            ...PARENT_FIELDS_SCHEMA,
+            children: {
+                collection: true,
+                minItems: 1,
+                maxItems: 4,
+                messages: {
+                    minItems: 'Please add at least one child',
+                    maxItems: 'You can add up to {param} children per enquiry'
+                },
+                fields: {
+                    grade: {
+                        required: true,
+                        enum: GRADES.map(grade => grade.value),
+                        messages: { required: 'Please choose a grade' }
+                    },
+                    admissionYear: {
+                        required: true,
+                        enum: getAdmissionYears().map(year => String(year.value)),
+                        parse: Number,
+                        messages: { required: 'Please choose an admission year' }
+                    }
+                }
+            },
+            consent: consentSchema(['contact'], 'Please agree to be contacted so we can reply to your enquiry')
+        },
+        booking: {
+            schools: {
+                required: true,
+                maxItems: 5,
+                messages: {
+                    required: 'Please choose at least one school',
+                    maxItems: 'You can book up to {param} schools at a time'
+                }
+            },
+            day: {
+                required: true,
+                messages: { required: 'Please choose a day' }
+            },
+            ...PARENT_FIELDS_SCHEMA,
+            consent: consentSchema(['contact', 'share'], 'Please agree to be contacted and to share your details with the schools you are booking')
+        },
+        registration: {
+            ...PARENT_FIELDS_SCHEMA,
+            email: {
+                email: true,
+                maxLength: 120
+            },
+            attendees: {
+                required: true,
+                parse: Number,
+                min: 1,
+                max: 6,
+                messages: { max: 'Please register groups larger than {param} separately' }
+            },
+            day: {
+                required: true,
+                messages: { required: 'Please choose the day you plan to visit' }
+            },
+            consent: consentSchema(['contact'], 'Please agree so we can confirm your registration')
+        }
+    };
+
+    const SUBMIT_STATUS_MESSAGES = {
+        pending: 'Sending your enquiry…',
+        sent: 'Thank you! We will contact you soon.',
+        failed: 'We could not reach our server. Your enquiry is saved on this device and will be sent automatically.',
+        unsaved: 'We could not reach our server or save your enquiry on this device. Please check your connection and try again.'
+    };
+
+    class FormValidator {
+        constructor(form, options = {}) {
+            this.form = form;
+            this.options = options;
+            this.schema = options.schema || FORM_SCHEMAS[form?.dataset.schema] || {};
+            // BEM block used for error classes, so other forms can style their own errors
+            this.block = options.block || form?.dataset.block || 'enquiry-form';
+            this.queue = options.queue || null;
+            this.shortlist = options.shortlist || null;
+            this.endpoint = options.endpoint || form?.dataset.endpoint || SUBMISSION_DEFAULTS.endpoint;
+            this.pendingId = null;
+            this.statusTimer = null;
+            this.validationRuns = {};
+            this.init();
+        }
+
+        /**
+         * Register a custom rule usable from any schema
+         */
+        static addRule(name, test, message = 'Please check this field') {
+            VALIDATION_RULES[name] = { test, message };
+        }
+
+        init() {
+            if (!this.form) return;
+
+            // The schema engine owns validation, so keep native bubbles out of the way
+            this.form.noValidate = true;
+
+            this.form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                if (await this.validateForm()) {
+                    this.handleSubmit();
+                } else {
+                    this.focusFirstInvalid();
+                }
+            });
+
+            // Real-time validation, delegated so rows added later are covered too
+            const validatesOnChange = control => this.isChoiceGroup(control.name) || control.tagName === 'SELECT';
+
+            this.form.addEventListener('focusout', (e) => {
+                if (this.isField(e.target) && !validatesOnChange(e.target)) this.handleFieldChange(e.target.name);
+            });
+            this.form.addEventListener('change', (e) => {
+                if (this.isField(e.target) && validatesOnChange(e.target)) this.handleFieldChange(e.target.name);
+            });
+            this.form.addEventListener('input', (e) => {
+                if (this.isField(e.target) && !validatesOnChange(e.target)) this.clearError(e.target.name);
+            });
+
+            this.markRequired();
+        }
+
+        /**
+         * Mirror required rules to aria-required, call again after adding controls
+         */
+        markRequired() {
+            this.getFieldNames().forEach(name => {
+                if (this.getRules(name).required) {
+                    this.getControls(name).forEach(control => control.setAttribute('aria-required', 'true'));
+                }
+            });
+        }
+
+        isField(el) {
+            return Boolean(el.name) && el.form === this.form &&
+                !['submit', 'button', 'reset'].includes(el.type) && el.tagName !== 'FIELDSET';
+        }
+
+        /**
+         * Split a collection control name like `children[0][grade]`
+         */
+        parseName(name) {
+            const match = name.match(/^([\w-]+)\[(\d+)\]\[([\w-]+)\]$/);
+            return match ? { collection: match[1], index: Number(match[2]), field: match[3] } : null;
+        }
+
+        getSchemaField(name) {
+            const parts = this.parseName(name);
+            if (parts) {
+                return this.schema[parts.collection]?.fields?.[parts.field] || {};
+            }
+            return this.schema[name] || {};
+        }
+
+        handleFieldChange(name) {
+            this.validateField(name);
+
+            // Re-check cross-field rules that depend on this field once they have a value
+            Object.keys(this.schema).forEach(other => {
+                const dependsOn = this.schema[other].dependsOn || [];
+                if (dependsOn.includes(name) && !isEmptyValue(this.getValue(other))) {
+                    this.validateField(other);
+                }
+            });
+        }
+
+        getControls(name) {
+            return Array.from(this.form.elements).filter(el => el.name === name);
+        }
+
+        getFieldNames() {
+            const names = new Set(Object.keys(this.schema));
+            Array.from(this.form.elements).forEach(el => {
+                if (this.isField(el)) names.add(el.name);
+            });
+            return Array.from(names).filter(name => this.getControls(name).length > 0);
+        }
+
+        getCollectionNames() {
+            return Object.keys(this.schema).filter(name => this.schema[name].collection);
+        }
+
+        isChoiceGroup(name) {
+            const controls = this.getControls(name);
+            return controls[0]?.type === 'radio' || (controls[0]?.type === 'checkbox' && controls.length > 1);
+        }
+
+        getValue(name) {
+            const controls = this.getControls(name);
+            const first = controls[0];
+            if (!first) return undefined;
+
+            if (first.type === 'radio') {
+                return controls.find(control => control.checked)?.value || '';
+            }
+            if (first.type === 'checkbox') {
+                return controls.length > 1
+                    ? controls.filter(control => control.checked).map(control => control.value)
+                    : first.checked;
+            }
+            if (first.tagName === 'SELECT' && first.multiple) {
+                return Array.from(first.selectedOptions).map(option => option.value);
+            }
+            return first.value.trim();
+        }
+
+        /**
+         * Raw control values keyed by control name, as seen by the rules
+         */
+        getFlatValues() {
+            return this.getFieldNames().reduce((values, name) => {
+                values[name] = this.getValue(name);
+                return values;
+            }, {});
+        }
+
+        /**
+         * Parsed values for submission, with collections gathered into arrays
+         */
+        getValues() {
+            const flat = this.getFlatValues();
+            const values = {};
+
+            Object.keys(flat).forEach(name => {
+                const { parse } = this.getSchemaField(name);
+                const value = typeof parse === 'function' && !isEmptyValue(flat[name]) ? parse(flat[name]) : flat[name];
+                const parts = this.parseName(name);
+
+                if (parts) {
+                    const items = values[parts.collection] = values[parts.collection] || [];
+                    items[parts.index] = { ...items[parts.index], [parts.field]: value };
+                } else {
+                    values[name] = value;
+                }
+            });
+
+            this.getCollectionNames().forEach(name => {
+                values[name] = (values[name] || []).filter(Boolean);
+            });
+
+            return values;
+        }
+
+        /**
+         * Schema rules for a field, with constraints declared in the markup as defaults
+         */
+        getRules(name) {
+            const control = this.getControls(name)[0];
+            const fromMarkup = {};
+
+            if (control) {
+                if (control.required) fromMarkup.required = true;
+                if (control.getAttribute('minlength')) fromMarkup.minLength = Number(control.getAttribute('minlength'));
+                if (control.getAttribute('maxlength')) fromMarkup.maxLength = Number(control.getAttribute('maxlength'));
+                if (control.getAttribute('pattern')) fromMarkup.pattern = control.getAttribute('pattern');
+                if (control.getAttribute('min') !== null) fromMarkup.min = Number(control.getAttribute('min'));
+                if (control.getAttribute('max') !== null) fromMarkup.max = Number(control.getAttribute('max'));
+                if (control.type === 'email') fromMarkup.email = true;
+                if (control.dataset.requiredMessage) fromMarkup.messages = { required: control.dataset.requiredMessage };
+            }
+
+            // Schema rules are checked first and win, markup constraints only fill the gaps
+            const schemaRules = this.getSchemaField(name);
+            return { ...schemaRules, ...fromMarkup, ...schemaRules };
+        }
+
+        getMessage(rules, ruleName, param) {
+            const template = rules.messages?.[ruleName] || VALIDATION_RULES[ruleName]?.message || 'Please check this field';
+            return t(template, { param: Array.isArray(param) ? param.join(', ') : param });
+        }
+
+        /**
+         * Run the sync rules of a field and return the first error message, or null
+         */
+        checkSyncRules(name, value, values) {
+            const rules = this.getRules(name);
+            const context = { name, values, form: this.form };
+
+            if (!VALIDATION_RULES.required.test(value, rules.required)) {
+                return this.getMessage(rules, 'required', rules.required);
+            }
+            if (isEmptyValue(value)) return null;
+
+            for (const ruleName of Object.keys(rules)) {
+                const rule = VALIDATION_RULES[ruleName];
+                if (!rule || ruleName === 'required') continue;
+                if (!rule.test(value, rules[ruleName], context)) {
+                    return this.getMessage(rules, ruleName, rules[ruleName]);
+                }
+            }
+
+            if (typeof rules.validate === 'function') {
+                const result = rules.validate(value, values);
+                if (result !== true) {
+                    return typeof result === 'string' ? t(result) : this.getMessage(rules, 'validate');
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Validate one field (by name or control). Resolves to true when valid.
+         */
+        async validateField(field) {
+            const name = typeof field === 'string' ? field : field.name;
+            if (this.getControls(name).every(control => control.matches(':disabled'))) {
+                this.clearError(name);
+                return true;
+            }
+
+            const values = this.getFlatValues();
+            const value = values[name];
+            const rules = this.getRules(name);
+            let errorMessage = this.checkSyncRules(name, value, values);
+
+            if (!errorMessage && !isEmptyValue(value) && typeof rules.validateAsync === 'function') {
+                // Only the latest run of an async check may update the UI
+                const run = (this.validationRuns[name] || 0) + 1;
+                this.validationRuns[name] = run;
+
+                let result;
+                try {
+                    result = await rules.validateAsync(value, values);
+                } catch (err) {
+                    result = rules.messages?.validateAsync || 'We could not verify this field, please try again';
+                }
+                if (this.validationRuns[name] !== run) return false;
+                if (result !== true) {
+                    errorMessage = typeof result === 'string' ? t(result) : this.getMessage(rules, 'validateAsync');
+                }
+            }
+
+            if (errorMessage) {
+                this.showError(name, errorMessage);
+                this.form.dispatchEvent(new CustomEvent('fieldinvalid', { bubbles: true, detail: { name } }));
+            } else {
+                this.clearError(name);
+            }
+
+            return !errorMessage;
+        }
+
+        /**
+         * Check the number of rows in a collection against minItems/maxItems
+         */
+        validateCollection(name) {
+            const rules = this.schema[name];
+            const count = this.getValues()[name].length;
+            let errorMessage = null;
+
+            if (rules.minItems && count < rules.minItems) {
+                errorMessage = this.getMessage(rules, 'minItems', rules.minItems);
+            } else if (rules.maxItems && count > rules.maxItems) {
+                errorMessage = this.getMessage(rules, 'maxItems', rules.maxItems);
+            }
+
+            const host = this.form.querySelector(`[data-collection="${name}"]`) || this.form;
+            const errorId = this.getErrorId(name);
+            document.getElementById(errorId)?.remove();
+
+            if (errorMessage) {
+                const errorDiv = document.createElement('div');
+                errorDiv.className = `${this.block}__error`;
+                errorDiv.id = errorId;
+                errorDiv.textContent = errorMessage;
+                errorDiv.setAttribute('role', 'alert');
+                host.appendChild(errorDiv);
+            }
+
+            return !errorMessage;
+        }
+
+        async validateForm() {
+            const results = await Promise.all(this.getFieldNames().map(name => this.validateField(name)));
+            const collectionsValid = this.getCollectionNames().map(name => this.validateCollection(name));
+
+            const missing = this.getMissingFields();
+            if (missing.length) {
+                console.warn(`FormValidator: no control for required field(s) ${missing.join(', ')}, not submitting`);
+                missing.forEach(name => this.form.dispatchEvent(new CustomEvent('fieldinvalid', { bubbles: true, detail: { name } })));
+                this.showStatus('failed', t('Part of this form did not load, so it cannot be sent yet. Please try again.'));
+            }
+
+            return missing.length === 0 && results.concat(collectionsValid).every(Boolean);
+        }
+
+        /**
+         * Required schema fields without a control (e.g. options that failed to load), which can never be answered
+         */
+        getMissingFields() {
+            return Object.keys(this.schema).filter(name => this.schema[name].required && !this.schema[name].collection &&
+                this.getControls(name).length === 0);
+        }
+
+        /**
+         * Validate only the fields inside a container, e.g. the current step of a multi-step form
+         */
+        async validateScope(container) {
+            const names = this.getFieldNames()
+                .filter(name => this.getControls(name).some(control => container.contains(control)));
+            const results = await Promise.all(names.map(name => this.validateField(name)));
+            const isValid = results.every(Boolean);
+
+            if (!isValid) this.focusFirstInvalid(container);
+            return isValid;
+        }
+
+        focusFirstInvalid(container = this.form) {
+            container.querySelector('[aria-invalid="true"]')?.focus();
+        }
+
+        getErrorHost(name) {
+            const first = this.getControls(name)[0];
+            if (this.isChoiceGroup(name)) return first.closest('fieldset') || first.parentNode;
+            // A checkbox wrapped in its label gets the message below the label
+            return first.parentNode.tagName === 'LABEL' ? first.parentNode.parentNode : first.parentNode;
+        }
+
+        getErrorId(name) {
+            return `${this.form.id || this.block}-${name.replace(/[^\w-]+/g, '-').replace(/-$/, '')}-error`;
+        }
+
+        showError(name, message) {
+            this.clearError(name);
+
+            const errorDiv = document.createElement('div');
+            errorDiv.className = `${this.block}__error`;
+            errorDiv.id = this.getErrorId(name);
+            errorDiv.textContent = message;
+            errorDiv.setAttribute('role', 'alert');
+
+            const isGroup = this.isChoiceGroup(name);
+            this.getControls(name).forEach(control => {
+                control.setAttribute('aria-invalid', 'true');
+                if (!isGroup) control.classList.add(`${this.block}__input--error`);
+                const describedBy = (control.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+                control.setAttribute('aria-describedby', describedBy.concat(errorDiv.id).join(' '));
+            });
+
+            this.getErrorHost(name).appendChild(errorDiv);
+        }
+
+        clearError(field) {
+            const name = typeof field === 'string' ? field : field.name;
+            const errorId = this.getErrorId(name);
+
+            this.getControls(name).forEach(control => {
+                control.removeAttribute('aria-invalid');
+                control.classList.remove(`${this.block}__input--error`);
+                const describedBy = (control.getAttribute('aria-describedby') || '').split(' ')
+                    .filter(id => id && id !== errorId);
+                if (describedBy.length) {
+                    control.setAttribute('aria-describedby', describedBy.join(' '));
+                } else {
+                    control.removeAttribute('aria-describedby');
+                }
+            });
+
+            document.getElementById(errorId)?.remove();
+        }
+
+        async handleSubmit() {
+            if (this.pendingId) return;
+
+            this.form.dispatchEvent(new CustomEvent('validsubmit', { bubbles: true }));
+
+            if (typeof this.options.onSubmit === 'function') {
+                this.options.onSubmit(this.getValues(), this);
+                return;
+            }
+
+            const { consent, ...data } = this.getValues();
+            const payload = {
+                id: createId('enq'),
+                submittedAt: new Date().toISOString(),
+                data
+            };
+            if (consent) payload.consent = createConsentRecord(consent);
+
+            // Schools the parent shortlisted, so each one can follow up with the families interested in it,
+            // as long as the parent agreed to their details being shared with schools
+            const shortlisted = this.shortlist?.getIds() || [];
+            if (shortlisted.length && (!payload.consent || payload.consent.purposes.share)) payload.shortlist = shortlisted;
+
+            if (!this.queue) {
+                console.warn('FormValidator: no submission queue configured, enquiry not sent', payload);
+                return;
+            }
+
+            this.pendingId = payload.id;
+            this.setSubmitting(true);
+            this.showStatus('pending');
+            logConsent(payload.id, this.endpoint, payload.consent);
+
+            const result = await this.queue.submit(payload, this.endpoint);
+
+            this.setSubmitting(false);
+            this.pendingId = null;
+            // Neither delivered nor stored, so keep what the parent typed for another try
+            if (result.status === 'failed') {
+                this.showStatus('unsaved');
+                return;
+            }
+
+            // Either delivered or safely stored for retry, so the form can be cleared
+            this.form.reset();
+            this.form.dispatchEvent(new CustomEvent('submitted', {
+                bubbles: true,
+                detail: { id: payload.id, status: result.status }
+            }));
+
+            if (result.status === 'sent') {
+                this.showStatus('sent');
+            } else {
+                this.showStatus('failed');
+                // Flip to "sent" if the queue delivers this enquiry while the visitor is still here
+                const onSent = (e) => {
+                    if (e.detail.entry.id !== payload.id) return;
+                    document.removeEventListener('submissionSent', onSent);
+                    this.showStatus('sent');
+                };
+                document.addEventListener('submissionSent', onSent);
+            }
+        }
+
+        /**
+         * Empty the form and drop its errors and status message, as if nobody had started filling it in
+         */
+        clear() {
+            clearTimeout(this.statusTimer);
+            this.form.reset();
+            this.getFieldNames().forEach(name => this.clearError(name));
+            this.form.querySelectorAll(`.${this.block}__error, .${this.block}__status`).forEach(el => el.remove());
+        }
+
+        setSubmitting(isSubmitting) {
+            const submitBtn = this.form.querySelector('[type="submit"]');
+            if (submitBtn) {
+                submitBtn.disabled = isSubmitting;
+                submitBtn.setAttribute('aria-busy', isSubmitting);
+            }
+        }
+
+        showStatus(state, message = t(SUBMIT_STATUS_MESSAGES[state])) {
+            let statusDiv = this.form.querySelector(`.${this.block}__status`);
+            if (!statusDiv) {
+                statusDiv = document.createElement('div');
+                statusDiv.setAttribute('role', 'status');
+                statusDiv.setAttribute('aria-live', 'polite');
+                this.form.appendChild(statusDiv);
+            }
+
+            statusDiv.className = `${this.block}__status ${this.block}__status--${state}`;
+            statusDiv.textContent = message;
+
+            clearTimeout(this.statusTimer);
+            if (state === 'sent') {
+                this.statusTimer = setTimeout(() => statusDiv.remove(), 5000);
+            }
+        }
+    }
+
+    // Child Profiles (repeatable grade and admission year rows)
+    // ==========================================================================
+
+    class ChildProfiles {
+        constructor(fieldset) {
+            this.fieldset = fieldset;
+            this.form = fieldset.closest('form');
+            this.name = fieldset.dataset.collection;
+            this.list = fieldset.querySelector('.enquiry-form__children-list');
+            this.addBtn = fieldset.querySelector('.enquiry-form__add-child');
+            this.template = fieldset.querySelector('.enquiry-form__child-template');
+
+            const schema = FORM_SCHEMAS[this.form?.dataset.schema]?.[this.name] || {};
+            this.maxItems = schema.maxItems || 4;
+
+            this.init();
+        }
+
+        init() {
+            if (!this.list || !this.template) return;
+
+            this.addBtn?.addEventListener('click', () => {
+                this.addRow()?.querySelector('select')?.focus();
+            });
+
+            this.list.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.enquiry-form__remove-child');
+                if (removeBtn) this.removeRow(removeBtn.closest('.enquiry-form__child'));
+            });
+
+            // Back to a single empty row once the form has been reset after a submit
+            this.form?.addEventListener('reset', () => setTimeout(() => this.reset()));
+            document.addEventListener('localeChange', () => this.renumber());
+
+            this.reset();
+        }
+
+        getRows() {
+            return Array.from(this.list.querySelectorAll('.enquiry-form__child'));
+        }
+
+        reset() {
+            this.list.innerHTML = '';
+            this.addRow();
+        }
+
+        addRow() {
+            if (this.getRows().length >= this.maxItems) return null;
+
+            const row = this.template.content.firstElementChild.cloneNode(true);
+            row.querySelectorAll('select[data-options]').forEach(select => {
+                const isGrades = select.dataset.options === 'grades';
+                (isGrades ? GRADES : getAdmissionYears()).forEach(option => {
+                    const element = new Option(option.label, option.value);
+                    if (isGrades) element.dataset.i18n = '';
+                    select.add(element);
+                });
+            });
+            // Rows come from a <template>, which the page-wide translation pass cannot see
+            i18n.translate(row);
+
+            this.list.appendChild(row);
+            this.renumber();
+            return row;
+        }
+
+        removeRow(row) {
+            const rows = this.getRows();
+            if (rows.length <= 1) return;
+
+            const index = rows.indexOf(row);
+            row.remove();
+            this.clearErrors();
+            this.renumber();
+
+            const rowsLeft = this.getRows();
+            rowsLeft[Math.min(index, rowsLeft.length - 1)].querySelector('select')?.focus();
+        }
+
+        /**
+         * Errors are tied to control names, which change when rows are renumbered
+         */
+        clearErrors() {
+            this.list.querySelectorAll('.enquiry-form__error').forEach(error => error.remove());
+            this.list.querySelectorAll('[aria-invalid]').forEach(control => {
+                control.removeAttribute('aria-invalid');
+                control.removeAttribute('aria-describedby');
+                control.classList.remove('enquiry-form__input--error');
+            });
+        }
+
+        renumber() {
+            const rows = this.getRows();
+
+            rows.forEach((row, index) => {
+                row.querySelector('.enquiry-form__child-title').textContent = t('Child {number}', { number: index + 1 });
+
+                row.querySelectorAll('[data-field]').forEach(control => {
+                    const field = control.dataset.field;
+                    control.name = `${this.name}[${index}][${field}]`;
+                    control.id = `${this.name}-${index}-${field}`;
+                    const label = row.querySelector(`label[data-for="${field}"]`);
+                    if (label) label.htmlFor = control.id;
+                });
+
+                const removeBtn = row.querySelector('.enquiry-form__remove-child');
+                removeBtn.hidden = rows.length === 1;
+                removeBtn.setAttribute('aria-label', t('Remove child {number}', { number: index + 1 }));
+            });
+
+            this.fieldset.classList.toggle('enquiry-form__children--multiple', rows.length > 1);
+            if (this.addBtn) this.addBtn.hidden = rows.length >= this.maxItems;
+        }
+    }
+
+    // QR Code (byte mode, error correction level M, versions 1-10)
+    // ==========================================================================
+
+    // Per version: error correction codewords per block and the data codewords of each block
+    const QR_BLOCKS_M = [
+        null,
+        { ecc: 10, blocks: [16] },
+        { ecc: 16, blocks: [28] },
+        { ecc: 26, blocks: [44] },
+        { ecc: 18, blocks: [32, 32] },
+        { ecc: 24, blocks: [43, 43] },
+        { ecc: 16, blocks: [27, 27, 27, 27] },
+        { ecc: 18, blocks: [31, 31, 31, 31] },
+        { ecc: 22, blocks: [38, 38, 39, 39] },
+        { ecc: 22, blocks: [36, 36, 36, 37, 37] },
+        { ecc: 26, blocks: [43, 43, 43, 43, 44] }
+    ];
+
+    const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+        [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+    const QR_MASKS = [
+        (row, col) => (row + col) % 2 === 0,
+        (row) => row % 2 === 0,
+        (row, col) => col % 3 === 0,
+        (row, col) => (row + col) % 3 === 0,
+        (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+        (row, col) => (row * col) % 2 + (row * col) % 3 === 0,
+        (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+        (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0
+    ];
+
+    /**
+     * Multiply two GF(256) elements modulo the QR polynomial 0x11D
+     */
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Reed-Solomon error correction codewords for one block
+     */
+    function reedSolomon(data, degree) {
+        const divisor = new Array(degree).fill(0);
+        divisor[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                divisor[j] = gfMultiply(divisor[j], root);
+                if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+
+        const result = new Array(degree).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+        });
+        return result;
+    }
+
+    class QRCode {
+        constructor(text) {
+            this.bytes = Array.from(new TextEncoder().encode(String(text)));
+            this.version = this.pickVersion();
+            this.size = this.version * 4 + 17;
+            this.modules = [];
+            this.isFunction = [];
+
+            this.build();
+        }
+
+        pickVersion() {
+            for (let version = 1; version < QR_BLOCKS_M.length; version++) {
+                const capacity = QR_BLOCKS_M[version].blocks.reduce((sum, count) => sum + count, 0) * 8;
+                const countBits = version < 10 ? 8 : 16;
+                if (4 + countBits + this.bytes.length * 8 <= capacity) return version;
+            }
+            throw new Error('QRCode: text too long');
+        }
+
+        build() {
+            for (let row = 0; row < this.size; row++) {
+                this.modules.push(new Array(this.size).fill(false));
+                this.isFunction.push(new Array(this.size).fill(false));
+            }
+
+            this.drawFunctionPatterns();
+            this.drawCodewords(this.getCodewords());
+
+            // Keep the mask with the lowest penalty score
+            let best = null;
+            QR_MASKS.forEach((mask, index) => {
+                this.applyMask(mask);
+                this.drawFormatBits(index);
+                const penalty = this.getPenalty();
+                if (!best || penalty < best.penalty) best = { index, penalty };
+                this.applyMask(mask); // XOR again to undo
+            });
+
+            this.applyMask(QR_MASKS[best.index]);
+            this.drawFormatBits(best.index);
+        }
+
+        setFunction(row, col, isDark) {
+            this.modules[row][col] = isDark;
+            this.isFunction[row][col] = true;
+        }
+
+        drawFunctionPatterns() {
+            const size = this.size;
+
+            for (let i = 0; i < size; i++) {
+                this.setFunction(6, i, i % 2 === 0);
+                this.setFunction(i, 6, i % 2 === 0);
+            }
+
+            [[3, 3], [3, size - 4], [size - 4, 3]].forEach(([centerRow, centerCol]) => {
+                for (let dRow = -4; dRow <= 4; dRow++) {
+                    for (let dCol = -4; dCol <= 4; dCol++) {
+                        const row = centerRow + dRow;
+                        const col = centerCol + dCol;
+                        const distance = Math.max(Math.abs(dRow), Math.abs(dCol));
+                        if (row >= 0 && row < size && col >= 0 && col < size) {
+                            this.setFunction(row, col, distance !== 2 && distance !== 4);
+                        }
+                    }
+                }
+            });
+
+            const positions = QR_ALIGNMENT[this.version];
+            const last = positions.length - 1;
+            positions.forEach((centerRow, i) => {
+                positions.forEach((centerCol, j) => {
+                    // Skip the three corners taken by finder patterns
+                    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                    for (let dRow = -2; dRow <= 2; dRow++) {
+                        for (let dCol = -2; dCol <= 2; dCol++) {
+                            this.setFunction(centerRow + dRow, centerCol + dCol,
+                                Math.max(Math.abs(dRow), Math.abs(dCol)) !== 1);
+                        }
+                    }
+                });
+            });
+
+            // Reserve the format areas (real bits are drawn after masking)
+            this.drawFormatBits(0);
+
+            if (this.version >= 7) {
+                let remainder = this.version;
+                for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+                const bits = (this.version << 12) | remainder;
+
+                for (let i = 0; i < 18; i++) {
+                    const isDark = ((bits >>> i) & 1) === 1;
+                    const a = size - 11 + (i % 3);
+                    const b = Math.floor(i / 3);
+                    this.setFunction(b, a, isDark);
+                    this.setFunction(a, b, isDark);
+                }
+            }
+        }
+
+        drawFormatBits(maskIndex) {
+            // Level M has format bits 00, followed by the mask number
+            const data = maskIndex;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const bits = ((data << 10) | remainder) ^ 0x5412;
+            const bit = i => ((bits >>> i) & 1) === 1;
+            const size = this.size;
+
+            for (let i = 0; i <= 5; i++) this.setFunction(i, 8, bit(i));
+            this.setFunction(7, 8, bit(6));
+            this.setFunction(8, 8, bit(7));
+            this.setFunction(8, 7, bit(8));
+            for (let i = 9; i < 15; i++) this.setFunction(8, 14 - i, bit(i));
+
+            for (let i = 0; i < 8; i++) this.setFunction(8, size - 1 - i, bit(i));
+            for (let i = 8; i < 15; i++) this.setFunction(size - 15 + i, 8, bit(i));
+            this.setFunction(size - 8, 8, true);
+        }
+
+        getCodewords() {
+            const { ecc, blocks } = QR_BLOCKS_M[this.version];
+            const capacity = blocks.reduce((sum, count) => sum + count, 0);
+            const bits = [];
+            const push = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+            };
+
+            push(0b0100, 4);
+            push(this.bytes.length, this.version < 10 ? 8 : 16);
+            this.bytes.forEach(byte => push(byte, 8));
+            push(0, Math.min(4, capacity * 8 - bits.length));
+            push(0, (8 - bits.length % 8) % 8);
+
+            const data = [];
+            for (let i = 0; i < bits.length; i += 8) {
+                data.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+            }
+            for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+            // Split into blocks, add error correction, then interleave column by column
+            let offset = 0;
+            const dataBlocks = blocks.map(count => {
+                const block = data.slice(offset, offset + count);
+                offset += count;
+                return block;
+            });
+            const eccBlocks = dataBlocks.map(block => reedSolomon(block, ecc));
+
+            const result = [];
+            const longest = Math.max(...blocks);
+            for (let i = 0; i < longest; i++) {
+                dataBlocks.forEach(block => { if (i < block.length) result.push(block[i]); });
+            }
+            for (let i = 0; i < ecc; i++) {
+                eccBlocks.forEach(block => result.push(block[i]));
+            }
+            return result;
+        }
+
+        drawCodewords(codewords) {
+            const size = this.size;
+            let bitIndex = 0;
+
+            // Two-module wide columns, right to left, alternating upwards and downwards
+            for (let right = size - 1; right >= 1; right -= 2) {
+                if (right === 6) right = 5;
+                const upward = ((right + 1) & 2) === 0;
+
+                for (let vert = 0; vert < size; vert++) {
+                    const row = upward ? size - 1 - vert : vert;
+                    for (let j = 0; j < 2; j++) {
+                        const col = right - j;
+                        if (this.isFunction[row][col]) continue;
+                        const byte = codewords[bitIndex >>> 3];
+                        // Remainder bits past the last codeword stay light
+                        this.modules[row][col] = byte !== undefined && ((byte >>> (7 - (bitIndex & 7))) & 1) === 1;
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+
+        applyMask(mask) {
+            for (let row = 0; row < this.size; row++) {
+                for (let col = 0; col < this.size; col++) {
+                    if (!this.isFunction[row][col] && mask(row, col)) {
+                        this.modules[row][col] = !this.modules[row][col];
+                    }
+                }
+            }
+        }
+
+        getPenalty() {
+            const size = this.size;
+            const modules = this.modules;
+            let penalty = 0;
+            let dark = 0;
+
+            const scoreLine = (line) => {
+                let score = 0;
+                let run = 1;
+                for (let i = 1; i <= line.length; i++) {
+                    if (i < line.length && line[i] === line[i - 1]) {
+                        run++;
+                    } else {
+                        if (run >= 5) score += run - 2;
+                        run = 1;
+                    }
+                }
+                // Finder-like 1:1:3:1:1 patterns with four light modules on either side
+                const text = line.map(isDark => (isDark ? '1' : '0')).join('');
+                score += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+                return score;
+            };
+
+            for (let i = 0; i < size; i++) {
+                penalty += scoreLine(modules[i]);
+                penalty += scoreLine(modules.map(row => row[i]));
+            }
+
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    if (modules[row][col]) dark++;
+                    if (row < size - 1 && col < size - 1) {
+                        const color = modules[row][col];
+                        if (color === modules[row][col + 1] && color === modules[row + 1][col] && color === modules[row + 1][col + 1]) {
+                            penalty += 3;
+                        }
+                    }
+                }
+            }
+
+            penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+            return penalty;
+        }
+
+        /**
+         * SVG markup with the standard four-module quiet zone
+         */
+        toSVG({ label = 'QR code' } = {}) {
+            const quiet = 4;
+            const total = this.size + quiet * 2;
+            let path = '';
+
+            this.modules.forEach((row, y) => {
+                row.forEach((isDark, x) => {
+                    if (isDark) path += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+                });
+            });
+
+            return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges" role="img" aria-label="${escapeHTML(label)}">` +
+                `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+        }
+    }
+
+    // Calendar Files & Printable Passes
+    // ==========================================================================
+
+    /**
+     * Venue as shown in the hero event card, e.g. "Apparel House, Sec 44, Gurugram"
+     */
+    function getEventVenue() {
+        const venue = document.querySelector('.hero__event-venue');
+        if (!venue) return '';
+        return Array.from(venue.children)
+            .map(part => part.textContent.trim().replace(/,$/, ''))
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * Escape TEXT values (RFC 5545 section 3.3.11)
+     */
+    function escapeICSText(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+    }
+
+    /**
+     * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+     */
+    function foldICSLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts towards their 75 octets
+            if (octets + size > 75) {
+                parts.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Local date-time in the event timezone, e.g. ("2025-08-02", "10:30") -> "20250802T103000"
+     */
+    function toICSDateTime(date, minutes) {
+        const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+        return `${date.replace(/-/g, '')}T${hours}${String(minutes % 60).padStart(2, '0')}00`;
+    }
+
+    /**
+     * Build an iCalendar file with one VEVENT per item.
+     * Items: { uid, title, description, date: 'YYYY-MM-DD', start: 'HH:MM', durationMinutes, location }
+     */
+    function buildCalendar(items) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Premier Schools Exhibition//Visitor Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            // India has no daylight saving, a single STANDARD rule describes the zone
+            'BEGIN:VTIMEZONE',
+            `TZID:${EVENT_TIMEZONE}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0530',
+            'TZOFFSETTO:+0530',
+            'TZNAME:IST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        items.forEach(item => {
+            const start = toMinutes(item.start);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${item.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;TZID=${EVENT_TIMEZONE}:${toICSDateTime(item.date, start)}`,
+                `DTEND;TZID=${EVENT_TIMEZONE}:${toICSDateTime(item.date, start + item.durationMinutes)}`,
+                `SUMMARY:${escapeICSText(item.title)}`,
+                `LOCATION:${escapeICSText(item.location)}`,
+                `DESCRIPTION:${escapeICSText(item.description || '')}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICSLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Offer generated content as a file download
+     */
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Standalone printable pass: { title, name, reference, lines: [{ label, detail }], venue }
+     */
+    function buildPassHTML(pass) {
+        const logo = new URL('Assets/school logo.png', document.baseURI).href;
+        const qr = new QRCode(pass.reference).toSVG({ label: t('Reference {reference}', { reference: pass.reference }) });
+
+        return `<!DOCTYPE html>
+<html lang="${i18n.locale}" dir="${LOCALES[i18n.locale].dir}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(pass.title)} - ${escapeHTML(pass.reference)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1464; margin: 0; padding: 32px; }
+    .pass { max-width: 520px; margin: 0 auto; border: 2px solid #1a1464; border-radius: 16px; padding: 32px; text-align: center; }
+    .pass__logo { height: 80px; }
+    .pass__title { font-size: 14px; letter-spacing: 3px; text-transform: uppercase; color: #6b4fd6; margin: 16px 0 4px; }
+    .pass__name { font-size: 28px; margin: 0 0 16px; }
+    .pass__qr { width: 200px; height: 200px; margin: 0 auto; }
+    .pass__reference { font-family: monospace; font-size: 24px; letter-spacing: 3px; margin: 8px 0 24px; }
+    .pass__lines { list-style: none; padding: 0; margin: 0 0 24px; text-align: left; }
+    .pass__lines li { display: flex; justify-content: space-between; gap: 16px; padding: 8px 0; border-bottom: 1px solid #eee; }
+    .pass__venue { font-size: 14px; }
+    .pass__print { margin-top: 24px; padding: 12px 32px; border: 0; border-radius: 8px; background: #1a1464; color: #fff; font-size: 16px; cursor: pointer; }
+    @media print { body { padding: 0; } .pass__print { display: none; } }
+</style>
+</head>
+<body>
+<main class="pass">
+    <img class="pass__logo" src="${escapeHTML(logo)}" alt="Premier Schools Exhibition">
+    <p class="pass__title">${escapeHTML(pass.title)}</p>
+    <h1 class="pass__name">${escapeHTML(pass.name)}</h1>
+    <div class="pass__qr">${qr}</div>
+    <p class="pass__reference">${escapeHTML(pass.reference)}</p>
+    <ul class="pass__lines">
+        ${pass.lines.map(line => `<li><strong>${escapeHTML(line.label)}</strong><span>${escapeHTML(line.detail)}</span></li>`).join('')}
+    </ul>
+    <p class="pass__venue">${escapeHTML(pass.venue)}</p>
+    <button class="pass__print" onclick="window.print()">${escapeHTML(t('Print pass'))}</button>
+</main>
+</body>
+</html>`;
+    }
+
+    /**
+     * Open the pass in a new window, or download it when pop-ups are blocked
+     */
+    function openPrintablePass(pass) {
+        const html = buildPassHTML(pass);
+        const passWindow = window.open('', '_blank');
+
+        if (!passWindow) {
+            downloadFile(`${pass.reference}.html`, html, 'text/html');
+            return;
+        }
+
+        passWindow.document.open();
+        passWindow.document.write(html);
+        passWindow.document.close();
+    }
+
+    // Modal Dialog (focus trap, Escape to close, focus restore)
+    // ==========================================================================
+
+    const FOCUSABLE_SELECTOR = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+
+    class Modal {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.dialog = element.querySelector('.modal__dialog') || element;
+            this.options = options;
+            this.lastFocused = null;
+            this.isOpen = false;
+            this.handleKeydown = this.handleKeydown.bind(this);
+
+            this.init();
+        }
+
+        init() {
+            // Backdrop click and any [data-modal-close] button
+            this.element.addEventListener('click', (e) => {
+                if (e.target === this.element || e.target.closest('[data-modal-close]')) {
+                    this.close();
+                }
+            });
+        }
+
+        getFocusable() {
+            return Array.from(this.dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+                .filter(el => !el.closest('[hidden]'));
+        }
+
+        open(trigger = document.activeElement) {
+            if (this.isOpen) return;
+
+            this.isOpen = true;
+            this.lastFocused = trigger;
+            Modal.stack.push(this);
+            this.setBackgroundInert();
+
+            this.element.hidden = false;
+            document.body.classList.add('has-modal');
+            document.addEventListener('keydown', this.handleKeydown);
+
+            const focusable = this.getFocusable();
+            const target = focusable.find(el => el.hasAttribute('autofocus')) || focusable[0] || this.dialog;
+            target.focus();
+
+            this.options.onOpen?.();
+        }
+
+        close() {
+            if (!this.isOpen) return;
+
+            this.isOpen = false;
+            Modal.stack = Modal.stack.filter(modal => modal !== this);
+            this.element.hidden = true;
+            document.removeEventListener('keydown', this.handleKeydown);
+
+            // Hand the page back, or only the modal underneath when dialogs are stacked
+            if (Modal.stack.length) {
+                Modal.stack[Modal.stack.length - 1].setBackgroundInert();
+            } else {
+                document.body.classList.remove('has-modal');
+                Array.from(document.body.children).forEach(el => el.removeAttribute('inert'));
+            }
+
+            this.options.onClose?.();
+            this.lastFocused?.focus?.();
+        }
+
+        setBackgroundInert() {
+            Array.from(document.body.children).forEach(el => {
+                if (el === this.element) {
+                    el.removeAttribute('inert');
+                } else if (el.tagName !== 'SCRIPT') {
+                    el.setAttribute('inert', '');
+                }
+            });
+        }
+
+        handleKeydown(e) {
+            // Only the top-most dialog reacts when several are stacked
+            if (Modal.stack[Modal.stack.length - 1] !== this) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+                return;
+            }
+
+            if (e.key !== 'Tab') return;
+
+            const focusable = this.getFocusable();
+            if (focusable.length === 0) {
+                e.preventDefault();
+                this.dialog.focus();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isInside = this.dialog.contains(document.activeElement);
+
+            if (e.shiftKey && (document.activeElement === first || !isInside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    Modal.stack = [];
+
+    // Appointment Booking
+    // ==========================================================================
+
+    const BOOKING_DEFAULTS = {
+        configUrl: null,            // days, hours and schools; defaults to the current event
+        endpoint: '/api/bookings',
+        // Appointment counts per slot from every device, without the parents' details
+        slotsEndpoint: '/api/booking-slots',
+        storageKey: 'pse-bookings'
+    };
+
+    const BOOKING_STEPS = ['schools', 'slots', 'details', 'confirmation'];
+
+    class BookingFlow {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { ...BOOKING_DEFAULTS, ...options };
+            this.queue = options.queue || null;
+            this.shortlist = options.shortlist || null;
+            this.form = element.querySelector('.booking');
+            this.steps = element.querySelectorAll('.booking__step');
+            this.progressItems = element.querySelectorAll('.booking__progress-item');
+            this.schoolList = element.querySelector('.booking__schools');
+            this.dayList = element.querySelector('.booking__days');
+            this.slotList = element.querySelector('.booking__slots');
+            this.conflictBox = element.querySelector('.booking__conflict');
+            this.summary = element.querySelector('.booking__summary');
+            this.loadError = element.querySelector('.booking__load-error');
+            this.backBtn = element.querySelector('.booking__back');
+            this.nextBtn = element.querySelector('.booking__next');
+
+            this.config = null;
+            this.configPromise = null;
+            this.remoteSlots = { references: [], slots: [] };
+            this.currentStep = BOOKING_STEPS[0];
+            this.lastBooking = null;
+
+            this.init();
+        }
+
+        init() {
+            if (!this.form) return;
+
+            this.purgePast();
+            this.modal = new Modal(this.element, {
+                onClose: () => {
+                    if (this.currentStep === 'confirmation') this.reset();
+                }
+            });
+            this.validator = new FormValidator(this.form, { schema: FORM_SCHEMAS.booking, block: 'booking' });
+
+            this.backBtn?.addEventListener('click', () => this.goBack());
+            this.nextBtn?.addEventListener('click', () => this.goNext());
+
+            this.form.addEventListener('change', (e) => {
+                if (e.target.name === 'schools' || e.target.name === 'day') {
+                    this.renderSlots();
+                } else if (e.target.name.startsWith('slot-')) {
+                    this.updateSlotStates();
+                }
+            });
+
+            this.element.querySelector('.booking__change-times')?.addEventListener('click', () => {
+                this.showStep('slots');
+            });
+
+            document.addEventListener('localeChange', () => {
+                this.updateNextLabel();
+                if (this.lastBooking && this.currentStep === 'confirmation') this.renderConfirmation(this.lastBooking);
+                if (!this.config) return;
+                relabelDays(this.dayList);
+                this.renderSlots();
+            });
+
+            this.element.querySelector('.booking__calendar')?.addEventListener('click', () => this.downloadCalendar());
+            this.element.querySelector('.booking__pass')?.addEventListener('click', () => this.printPass());
+        }
+
+        /**
+         * Open the flow, optionally with schools already ticked
+         */
+        async open(trigger, { schoolIds = [] } = {}) {
+            this.modal.open(trigger);
+
+            try {
+                await this.load();
+            } catch (err) {
+                if (this.loadError) this.loadError.hidden = false;
+                return;
+            }
+            if (this.loadError) this.loadError.hidden = true;
+
+            if (this.currentStep === 'confirmation') this.reset();
+
+            // Start from the shortlist when the dialog was opened without a school in mind
+            if (!schoolIds.length && !this.validator.getValues().schools?.length) {
+                schoolIds = this.getShortlistedIds();
+            }
+            schoolIds.forEach(id => {
+                const checkbox = this.schoolList.querySelector(`input[value="${CSS.escape(id)}"]`);
+                if (checkbox) checkbox.checked = true;
+            });
+            this.renderSlots();
+        }
+
+        load() {
+            if (!this.configPromise) {
+                const source = this.options.configUrl ? loadJSON(this.options.configUrl) : loadEvent();
+                this.configPromise = source.then(config => {
+                    this.config = config;
+                    this.renderSchools();
+                    this.renderDays();
+                });
+                // Allow another attempt next time the dialog is opened
+                this.configPromise.catch(() => { this.configPromise = null; });
+            }
+
+            return Promise.all([this.configPromise, this.loadRemoteSlots()]);
+        }
+
+        /**
+         * Slots other visitors already booked, so capacity is shared across devices when the API is up
+         */
+        async loadRemoteSlots() {
+            try {
+                const { references = [], slots = [] } = await loadJSON(this.options.slotsEndpoint);
+                this.remoteSlots = { references, slots };
+            } catch (err) {
+                // Offline or no API: fall back to the bookings made on this device
+            }
+        }
+
+        getLocalBookings() {
+            return storage.get(this.options.storageKey, []);
+        }
+
+        /**
+         * Parents' details stay on the device only until the last appointment day of a booking is over
+         */
+        purgePast() {
+            const today = toEventDate(Date.now());
+            const bookings = this.getLocalBookings();
+            const upcoming = bookings.filter(booking => (booking.appointments || []).some(item => item.date >= today));
+            if (upcoming.length === bookings.length) return;
+
+            if (upcoming.length) {
+                storage.set(this.options.storageKey, upcoming);
+            } else {
+                storage.remove(this.options.storageKey);
+            }
+        }
+
+        getSchool(id) {
+            return this.config.schools.find(school => school.id === id);
+        }
+
+        /**
+         * Shortlisted schools that take bookings in this edition, as many as one booking allows
+         */
+        getShortlistedIds() {
+            const ids = (this.shortlist?.getIds() || []).filter(id => this.getSchool(id));
+            return this.config.maxSchoolsPerBooking ? ids.slice(0, this.config.maxSchoolsPerBooking) : ids;
+        }
+
+        getDay(date) {
+            return this.config.days.find(day => day.date === date);
+        }
+
+        getSlotTimes() {
+            const { opensAt, closesAt, slotMinutes } = this.config;
+            const times = [];
+
+            for (let minutes = toMinutes(opensAt); minutes + slotMinutes <= toMinutes(closesAt); minutes += slotMinutes) {
+                const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+                times.push(`${hours}:${String(minutes % 60).padStart(2, '0')}`);
+            }
+            return times;
+        }
+
+        getRemaining(schoolId, date, time) {
+            const school = this.getSchool(schoolId);
+            const capacity = school?.capacity ?? this.config.defaultCapacity;
+            const isSlot = item => item.schoolId === schoolId && item.date === date && item.time === time;
+            // Bookings from this device the server has not counted yet (still queued, or made since it was asked)
+            const booked = this.getLocalBookings()
+                .filter(booking => !this.remoteSlots.references.includes(booking.reference))
+                .reduce((count, booking) => count + booking.appointments.filter(isSlot).length,
+                    this.remoteSlots.slots.find(isSlot)?.count || 0);
+
+            return Math.max(0, capacity - booked);
+        }
+
+        overlaps(a, b) {
+            if (a.date !== b.date) return false;
+            const startA = toMinutes(a.time);
+            const startB = toMinutes(b.time);
+            const duration = this.config.slotMinutes;
+            return startA < startB + duration && startB < startA + duration;
+        }
+
+        renderSchools() {
+            this.schoolList.innerHTML = this.config.schools.map(school => `
+                <label class="booking__option">
+                    <input type="checkbox" name="schools" value="${escapeHTML(school.id)}">
+                    <span>${escapeHTML(school.name)}</span>
+                </label>
+            `).join('');
+
+            if (this.config.maxSchoolsPerBooking) {
+                const schools = { ...FORM_SCHEMAS.booking.schools, maxItems: this.config.maxSchoolsPerBooking };
+                this.validator.schema = { ...FORM_SCHEMAS.booking, schools };
+            }
+        }
+
+        renderDays() {
+            this.dayList.innerHTML = this.config.days.map(day => `
+                <label class="booking__option">
+                    <input type="radio" name="day" value="${escapeHTML(day.date)}">
+                    <span>${escapeHTML(formatDayLabel(day.date))}</span>
+                </label>
+            `).join('');
+        }
+
+        getChosenSlots() {
+            const values = this.validator.getValues();
+            return (values.schools || [])
+                .filter(id => values[`slot-${id}`])
+                .map(id => ({ schoolId: id, date: values.day, time: values[`slot-${id}`] }));
+        }
+
+        renderSlots() {
+            if (!this.config) return;
+
+            const { schools = [], day } = this.validator.getValues();
+            const previous = this.getChosenSlots();
+
+            if (!day || schools.length === 0) {
+                this.slotList.innerHTML = `<p class="booking__hint">${escapeHTML(t('Choose a day to see the available times for your schools.'))}</p>`;
+                return;
+            }
+
+            const times = this.getSlotTimes();
+            this.slotList.innerHTML = schools.map(id => {
+                const school = this.getSchool(id);
+                const options = times.map(time => {
+                    const inputId = `booking-slot-${id}-${time.replace(':', '')}`;
+                    const remaining = this.getRemaining(id, day, time);
+                    return `
+                        <input type="radio" class="booking__slot-input" id="${inputId}" name="slot-${escapeHTML(id)}"
+                            value="${time}" required data-required-message="Please pick a time for this school"
+                            data-remaining="${remaining}"${remaining === 0 ? ' disabled' : ''}>
+                        <label class="booking__slot" for="${inputId}">
+                            ${formatTime(time)}
+                            <span class="booking__slot-note"></span>
+                        </label>
+                    `;
+                }).join('');
+
+                return `
+                    <fieldset class="booking__slot-group">
+                        <legend class="booking__slot-school">${escapeHTML(school?.name || id)}</legend>
+                        <div class="booking__slot-options">${options}</div>
+                    </fieldset>
+                `;
+            }).join('');
+
+            // Keep earlier choices for schools that are still selected on the same day
+            previous.filter(slot => slot.date === day).forEach(slot => {
+                const input = this.slotList.querySelector(`input[name="slot-${CSS.escape(slot.schoolId)}"][value="${slot.time}"]`);
+                if (input && !input.disabled) input.checked = true;
+            });
+
+            this.updateSlotStates();
+        }
+
+        /**
+         * Disable times that are full or clash with a time already picked for another school
+         */
+        updateSlotStates() {
+            const chosen = this.getChosenSlots();
+
+            this.slotList.querySelectorAll('.booking__slot-input').forEach(input => {
+                const schoolId = input.name.slice('slot-'.length);
+                const slot = { schoolId, date: this.validator.getValue('day'), time: input.value };
+                const clash = chosen.find(other => other.schoolId !== schoolId && this.overlaps(slot, other));
+                const isFull = Number(input.dataset.remaining) === 0;
+                const note = input.nextElementSibling.querySelector('.booking__slot-note');
+
+                input.disabled = isFull || Boolean(clash);
+                input.nextElementSibling.classList.toggle('booking__slot--clash', Boolean(clash) && !isFull);
+
+                if (isFull) {
+                    note.textContent = t('Full');
+                } else if (clash) {
+                    note.textContent = t('Booked for {school}', { school: this.getSchool(clash.schoolId)?.name || clash.schoolId });
+                } else {
+                    note.textContent = t('{count} left', { count: i18n.formatNumber(Number(input.dataset.remaining)) });
+                }
+            });
+        }
+
+        /**
+         * First clash between the new appointments and ones this parent already booked
+         */
+        findConflict(phone, appointments) {
+            // Only this device's bookings carry the parent's phone, the shared slot counts do not
+            const existing = this.getLocalBookings()
+                .filter(booking => booking.parent?.phone === phone)
+                .flatMap(booking => booking.appointments);
+
+            for (const appointment of appointments) {
+                const clash = existing.find(item => this.overlaps(item, appointment));
+                if (clash) return { appointment, clash };
+            }
+            return null;
+        }
+
+        getStepElement(name) {
+            return Array.from(this.steps).find(step => step.dataset.step === name);
+        }
+
+        showStep(name) {
+            this.currentStep = name;
+            const index = BOOKING_STEPS.indexOf(name);
+            const isConfirmation = name === 'confirmation';
+
+            this.steps.forEach(step => { step.hidden = step.dataset.step !== name; });
+            this.progressItems.forEach((item, itemIndex) => {
+                item.classList.toggle('booking__progress-item--done', itemIndex < index);
+                if (itemIndex === index) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+
+            if (this.backBtn) this.backBtn.hidden = index === 0 || isConfirmation;
+            if (this.nextBtn) this.nextBtn.hidden = isConfirmation;
+            this.updateNextLabel();
+            if (name !== 'details' && this.conflictBox) this.conflictBox.hidden = true;
+
+            this.getStepElement(name)?.querySelector('.booking__step-title')?.focus();
+        }
+
+        updateNextLabel() {
+            if (this.nextBtn) this.nextBtn.textContent = t(this.currentStep === 'details' ? 'Confirm booking' : 'Next');
+        }
+
+        goBack() {
+            const index = BOOKING_STEPS.indexOf(this.currentStep);
+            if (index > 0) this.showStep(BOOKING_STEPS[index - 1]);
+        }
+
+        async goNext() {
+            if (!this.config) return;
+
+            const step = this.getStepElement(this.currentStep);
+            if (!(await this.validator.validateScope(step))) return;
+
+            if (this.currentStep === 'details') {
+                this.confirm();
+            } else {
+                this.showStep(BOOKING_STEPS[BOOKING_STEPS.indexOf(this.currentStep) + 1]);
+            }
+        }
+
+        confirm() {
+            const values = this.validator.getValues();
+            const appointments = this.getChosenSlots().map(slot => ({
+                ...slot,
+                duration: this.config.slotMinutes,
+                schoolName: this.getSchool(slot.schoolId)?.name || slot.schoolId
+            }));
+
+            const conflict = this.findConflict(values['phone-number'], appointments);
+            if (conflict) {
+                this.showConflict(conflict);
+                return;
+            }
+
+            const booking = {
+                id: createId('bkg'),
+                reference: createReference(),
+                eventId: getCurrentEventId(),
+                createdAt: new Date().toISOString(),
+                parent: {
+                    name: values['parent-name'],
+                    phone: values['phone-number']
+                },
+                appointments,
+                consent: createConsentRecord(values.consent)
+            };
+
+            // Keep it locally first so capacity and overlap checks hold even before the API has it
+            storage.set(this.options.storageKey, this.getLocalBookings().concat(booking));
+            this.queue?.submit(booking, this.options.endpoint);
+            logConsent(booking.id, this.options.endpoint, booking.consent);
+
+            this.lastBooking = booking;
+            this.renderConfirmation(booking);
+            this.showStep('confirmation');
+
+            document.dispatchEvent(new CustomEvent('bookingConfirmed', { detail: { booking } }));
+        }
+
+        showConflict({ appointment, clash }) {
+            if (!this.conflictBox) return;
+
+            const day = this.getDay(clash.date)?.label || clash.date;
+            this.conflictBox.querySelector('.booking__conflict-text').textContent = t(
+                'You already have an appointment with {school} at {time} on {day}. Please choose a different time for {other}.',
+                { school: clash.schoolName || clash.schoolId, time: formatTime(clash.time), day, other: appointment.schoolName }
+            );
+            this.conflictBox.hidden = false;
+            this.conflictBox.querySelector('.booking__change-times')?.focus();
+        }
+
+        renderConfirmation(booking) {
+            this.summary.innerHTML = `
+                <p class="booking__reference">${escapeHTML(t('Booking reference'))} <strong>${escapeHTML(booking.reference)}</strong></p>
+                <ul class="booking__summary-list">
+                    ${booking.appointments.map(item => `
+                        <li>
+                            <strong>${escapeHTML(item.schoolName)}</strong>
+                            <span>${escapeHTML(this.getDay(item.date)?.label || item.date)}, ${formatTime(item.time)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        downloadCalendar() {
+            const booking = this.lastBooking;
+            if (!booking) return;
+
+            const venue = getEventVenue();
+            const calendar = buildCalendar(booking.appointments.map((item, index) => ({
+                uid: `${booking.reference}-${index + 1}@premierschoolsexhibition.com`,
+                title: `${item.schoolName} - Premier Schools Exhibition`,
+                description: t('Booking reference {reference}. Show it at the help desk on arrival.', { reference: booking.reference }),
+                date: item.date,
+                start: item.time,
+                durationMinutes: item.duration || this.config.slotMinutes,
+                location: venue
+            })));
+
+            downloadFile(`${booking.reference}.ics`, calendar, 'text/calendar;charset=utf-8');
+        }
+
+        printPass() {
+            const booking = this.lastBooking;
+            if (!booking) return;
+
+            openPrintablePass({
+                title: t('School appointment pass'),
+                name: booking.parent.name,
+                reference: booking.reference,
+                lines: booking.appointments.map(item => ({
+                    label: item.schoolName,
+                    detail: `${this.getDay(item.date)?.label || item.date}, ${formatTime(item.time)}`
+                })),
+                venue: getEventVenue()
+            });
+        }
+
+        reset() {
+            this.form.reset();
+            this.slotList.innerHTML = '';
+            this.summary.innerHTML = '';
+            this.showStep(BOOKING_STEPS[0]);
+        }
+    }
+
+    // Visitor Registration
+    // ==========================================================================
+
+    const REGISTRATION_DEFAULTS = {
+        configUrl: null,            // days and hours; defaults to the current event
+        endpoint: '/api/registrations',
+        storageKey: 'pse-registration',
+        visitorKey: 'pse-visitor',
+        visitorRetention: 30 * 24 * 60 * 60 * 1000  // forget pre-fill details after 30 days
+    };
+
+    class RegistrationFlow {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { ...REGISTRATION_DEFAULTS, ...options };
+            this.queue = options.queue || null;
+            this.trigger = options.trigger || null;
+            this.enquiryForm = options.enquiryForm || null;
+            this.form = element.querySelector('.registration');
+            this.dayList = element.querySelector('.registration__options');
+            this.loadError = element.querySelector('.registration__load-error');
+            this.confirmation = element.querySelector('.registration__confirmation');
+            this.summary = element.querySelector('.registration__summary');
+
+            this.config = null;
+
+            this.init();
+        }
+
+        init() {
+            if (!this.form) return;
+
+            this.purgeExpired();
+            this.modal = new Modal(this.element);
+            this.validator = new FormValidator(this.form, {
+                schema: FORM_SCHEMAS.registration,
+                block: 'registration',
+                onSubmit: values => this.submit(values)
+            });
+
+            this.element.querySelector('.registration__calendar')?.addEventListener('click', () => this.downloadCalendar());
+            this.element.querySelector('.registration__pass')?.addEventListener('click', () => this.printPass());
+
+            // Remember who sent the hero enquiry, so the dialog can be prefilled on a later visit too
+            ['submissionSent', 'submissionQueued'].forEach(type => {
+                document.addEventListener(type, (e) => this.rememberVisitor(e.detail.entry));
+            });
+
+            document.addEventListener('localeChange', () => {
+                this.updateTrigger();
+                if (this.config) relabelDays(this.dayList);
+                const registration = this.getRegistration();
+                if (registration && !this.confirmation.hidden) this.renderConfirmation(registration);
+            });
+            // Deleted from "Manage my data"
+            document.addEventListener('deviceDataRemoved', () => this.updateTrigger());
+
+            this.updateTrigger();
+            // Check again once it is known which edition is on screen
+            loadEvent().then(() => this.updateTrigger(), () => {});
+        }
+
+        /**
+         * Registration for the edition on screen, one for another city does not count
+         */
+        /**
+         * Forget the registration once its day is over, and pre-fill details after the retention period
+         */
+        purgeExpired() {
+            const registration = storage.get(this.options.storageKey, null);
+            if (registration && !(registration.visit?.date >= toEventDate(Date.now()))) {
+                storage.remove(this.options.storageKey);
+            }
+            this.getVisitor();
+        }
+
+        getRegistration() {
+            const registration = storage.get(this.options.storageKey, null);
+            if (!registration || (registration.eventId || EVENT_DEFAULT_ID) !== getCurrentEventId()) return null;
+            return registration;
+        }
+
+        async open(trigger) {
+            const registration = this.getRegistration();
+
+            if (registration) {
+                this.renderConfirmation(registration);
+                this.showConfirmation(true);
+                this.modal.open(trigger);
+                return;
+            }
+
+            this.showConfirmation(false);
+            this.prefill();
+            this.modal.open(trigger);
+
+            try {
+                await this.load();
+                if (this.loadError) this.loadError.hidden = true;
+            } catch (err) {
+                if (this.loadError) this.loadError.hidden = false;
+            }
+        }
+
+        async load() {
+            if (this.config) return;
+
+            this.config = this.options.configUrl ? await loadJSON(this.options.configUrl) : await loadEvent();
+            this.dayList.innerHTML = this.config.days.map(day => `
+                <label class="registration__option">
+                    <input type="radio" name="day" value="${escapeHTML(day.date)}">
+                    <span>${escapeHTML(formatDayLabel(day.date))}</span>
+                </label>
+            `).join('');
+        }
+
+        rememberVisitor(entry) {
+            const data = entry?.payload?.data;
+            if (!data?.['parent-name'] || !data['phone-number']) return;
+
+            storage.set(this.options.visitorKey, {
+                name: data['parent-name'],
+                phone: data['phone-number'],
+                savedAt: Date.now()
+            });
+        }
+
+        getVisitor() {
+            const visitor = storage.get(this.options.visitorKey, null);
+            if (visitor && !(visitor.savedAt > Date.now() - this.options.visitorRetention)) {
+                storage.remove(this.options.visitorKey);
+                return {};
+            }
+            return visitor || {};
+        }
+
+        /**
+         * Fill empty fields from the hero enquiry form, or from the last enquiry sent on this device
+         */
+        prefill() {
+            const visitor = this.getVisitor();
+            const fromEnquiry = name => this.enquiryForm?.elements[name]?.value.trim();
+            const sources = {
+                'parent-name': fromEnquiry('parent-name') || visitor.name,
+                'phone-number': fromEnquiry('phone-number') || visitor.phone
+            };
+
+            Object.entries(sources).forEach(([name, value]) => {
+                const input = this.form.elements[name];
+                if (input && !input.value && value) input.value = value;
+            });
+        }
+
+        submit(values) {
+            const day = this.config?.days.find(item => item.date === values.day);
+            // Without the exhibition days there is no visit to register, so say so and try loading them again
+            if (!day) {
+                if (this.loadError) this.loadError.hidden = false;
+                this.load()
+                    .then(() => { if (this.loadError) this.loadError.hidden = true; })
+                    .catch(() => {});
+                return;
+            }
+
+            const registration = {
+                id: createId('reg'),
+                reference: createReference(),
+                eventId: getCurrentEventId(),
+                createdAt: new Date().toISOString(),
+                parent: {
+                    name: values['parent-name'],
+                    phone: values['phone-number'],
+                    email: values.email || null
+                },
+                attendees: values.attendees,
+                visit: {
+                    date: values.day,
+                    label: day.label || values.day,
+                    opensAt: this.config.opensAt,
+                    closesAt: this.config.closesAt
+                },
+                consent: createConsentRecord(values.consent)
+            };
+
+            storage.set(this.options.storageKey, registration);
+            this.queue?.submit(registration, this.options.endpoint);
+            logConsent(registration.id, this.options.endpoint, registration.consent);
+
+            this.form.reset();
+            this.renderConfirmation(registration);
+            this.showConfirmation(true);
+            this.confirmation.querySelector('.registration__confirmation-title')?.focus();
+            this.updateTrigger();
+
+            document.dispatchEvent(new CustomEvent('registrationConfirmed', { detail: { registration } }));
+        }
+
+        showConfirmation(isConfirmed) {
+            this.form.hidden = isConfirmed;
+            this.confirmation.hidden = !isConfirmed;
+            if (this.loadError && isConfirmed) this.loadError.hidden = true;
+        }
+
+        renderConfirmation(registration) {
+            const { visit } = registration;
+            this.summary.innerHTML = `
+                <p class="registration__reference">${escapeHTML(t('Registration reference'))} <strong>${escapeHTML(registration.reference)}</strong></p>
+                <ul class="registration__summary-list">
+                    <li><strong>${escapeHTML(t('Name'))}</strong><span>${escapeHTML(registration.parent.name)}</span></li>
+                    <li><strong>${escapeHTML(t('Visiting'))}</strong><span>${escapeHTML(visit.label)}, ${formatTime(visit.opensAt)} - ${formatTime(visit.closesAt)}</span></li>
+                    <li><strong>${escapeHTML(t('Attendees'))}</strong><span>${escapeHTML(String(registration.attendees))}</span></li>
+                </ul>
+                <p class="registration__venue">${escapeHTML(t('Show this reference at the help desk at {venue}.', { venue: getEventVenue() }))}</p>
+            `;
+        }
+
+        updateTrigger() {
+            if (!this.trigger) return;
+
+            const isRegistered = Boolean(this.getRegistration());
+            this.trigger.classList.toggle('is-registered', isRegistered);
+            this.trigger.setAttribute('aria-label', isRegistered
+                ? t('Registered for the exhibition, view your registration')
+                : t('Register for the exhibition'));
+            const label = this.trigger.querySelector('.animated-btn__text');
+            if (label) label.textContent = isRegistered ? t('Registered ✓') : t('REGISTER NOW');
+        }
+
+        downloadCalendar() {
+            const registration = this.getRegistration();
+            if (!registration) return;
+
+            const { visit } = registration;
+            const calendar = buildCalendar([{
+                uid: `${registration.reference}@premierschoolsexhibition.com`,
+                title: 'Premier Schools Exhibition',
+                description: t('Registration reference {reference} for {count} attendee(s). Show it at the help desk on arrival.', {
+                    reference: registration.reference,
+                    count: registration.attendees
+                }),
+                date: visit.date,
+                start: visit.opensAt,
+                durationMinutes: toMinutes(visit.closesAt) - toMinutes(visit.opensAt),
+                location: getEventVenue()
+            }]);
+
+            downloadFile(`${registration.reference}.ics`, calendar, 'text/calendar;charset=utf-8');
+        }
+
+        printPass() {
+            const registration = this.getRegistration();
+            if (!registration) return;
+
+            const { visit } = registration;
+            openPrintablePass({
+                title: t('Visitor pass'),
+                name: registration.parent.name,
+                reference: registration.reference,
+                lines: [
+                    { label: t('Day'), detail: `${visit.label}, ${formatTime(visit.opensAt)} - ${formatTime(visit.closesAt)}` },
+                    { label: t('Attendees'), detail: String(registration.attendees) }
+                ],
+                venue: getEventVenue()
+            });
+        }
+    }
+
+    // Shortlist
+    // ==========================================================================
+
+    // Query parameter of a shared shortlist link, e.g. ?shortlist=school-a,school-b
+    const SHORTLIST_PARAM = 'shortlist';
+    // School ids in data/schools.json are lowercase slugs such as harrow-bangkok
+    const SCHOOL_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+    class Shortlist {
+        constructor(storageKey = 'pse-shortlist') {
+            this.storageKey = storageKey;
+            this.init();
+        }
+
+        init() {
+            // Hearts are rendered by several components, one listener serves them all
+            document.addEventListener('click', (e) => {
+                const toggle = e.target.closest('.shortlist-toggle');
+                if (toggle) this.toggle(toggle.dataset.schoolId);
+            });
+            document.addEventListener('shortlistChange', () => this.updateToggles());
+            document.addEventListener('localeChange', () => this.updateToggles());
+            document.addEventListener('deviceDataRemoved', (e) => {
+                if (!e.detail.keys.includes(this.storageKey)) return;
+                document.dispatchEvent(new CustomEvent('shortlistChange', { detail: { ids: [] } }));
+            });
+        }
+
+        getIds() {
+            return storage.get(this.storageKey, []);
+        }
+
+        has(id) {
+            return this.getIds().includes(id);
+        }
+
+        toggle(id) {
+            const ids = this.getIds();
+            this.setIds(ids.includes(id) ? ids.filter(item => item !== id) : ids.concat(id));
+            return this.has(id);
+        }
+
+        add(ids) {
+            const current = this.getIds();
+            this.setIds(current.concat(ids.filter(id => !current.includes(id))));
+        }
+
+        setIds(ids) {
+            storage.set(this.storageKey, ids);
+            document.dispatchEvent(new CustomEvent('shortlistChange', { detail: { ids } }));
+        }
+
+        /**
+         * Link to this page that carries the shortlist, keeping the edition and language of the current URL
+         */
+        getShareUrl() {
+            const url = new URL(window.location.href);
+            url.hash = '';
+            url.searchParams.set(SHORTLIST_PARAM, this.getIds().join(','));
+            return url.toString();
+        }
+
+        /**
+         * School ids from a shared link, an empty list when the page was not opened from one
+         */
+        static getIdsFromURL() {
+            const value = new URLSearchParams(window.location.search).get(SHORTLIST_PARAM) || '';
+            return value.split(',').map(id => id.trim()).filter(id => SCHOOL_ID_PATTERN.test(id));
+        }
+
+        /**
+         * Heart button for a school. Copies made for looping rows stay out of the tab order.
+         */
+        renderToggle(school, { isClone = false } = {}) {
+            const isShortlisted = this.has(school.id);
+            return `
+                <button type="button" class="shortlist-toggle" data-school-id="${escapeHTML(school.id)}"
+                    data-school-name="${escapeHTML(school.name)}" aria-pressed="${isShortlisted}"
+                    aria-label="${escapeHTML(t('Shortlist {school}', { school: school.name }))}"${isClone ? ' tabindex="-1"' : ''}>
+                    <span aria-hidden="true">${isShortlisted ? '♥' : '♡'}</span>
+                </button>
+            `;
+        }
+
+        updateToggles() {
+            const ids = this.getIds();
+            document.querySelectorAll('.shortlist-toggle').forEach(toggle => {
+                const isShortlisted = ids.includes(toggle.dataset.schoolId);
+                toggle.setAttribute('aria-pressed', String(isShortlisted));
+                toggle.setAttribute('aria-label', t('Shortlist {school}', { school: toggle.dataset.schoolName }));
+                toggle.firstElementChild.textContent = isShortlisted ? '♥' : '♡';
+            });
+        }
+    }
+
+    /**
+     * Floating shortlist button and the panel it opens: review, share and book the shortlisted schools
+     */
+    class ShortlistPanel {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.shortlist = options.shortlist;
+            this.onBook = options.onBook || null;
+            this.onSelect = options.onSelect || null;
+            this.fab = options.fab || null;
+            this.list = element.querySelector('.shortlist__list');
+            this.empty = element.querySelector('.shortlist__empty');
+            this.notice = element.querySelector('.shortlist__notice');
+            this.actions = element.querySelector('.shortlist__actions');
+            this.bookBtn = element.querySelector('.shortlist__book');
+            this.whatsapp = element.querySelector('.shortlist__whatsapp');
+            this.copyBtn = element.querySelector('.shortlist__copy');
+            this.copyStatus = element.querySelector('.shortlist__copy-status');
+
+            this.schools = [];
+            this.event = null;
+
+            this.init();
+        }
+
+        async init() {
+            if (!this.list || !this.shortlist) return;
+
+            this.modal = new Modal(this.element, {
+                onClose: () => { if (this.notice) this.notice.hidden = true; }
+            });
+
+            try {
+                const [data, event] = await Promise.all([loadSchools(), loadEvent()]);
+                this.schools = data.schools;
+                this.event = event;
+            } catch (err) {
+                console.warn('ShortlistPanel: could not load schools', err);
+                return;
+            }
+
+            this.fab?.addEventListener('click', () => this.open(this.fab));
+
+            this.list.addEventListener('click', (e) => {
+                const details = e.target.closest('.shortlist__details');
+                if (details) this.onSelect?.(details.dataset.schoolId, details);
+            });
+
+            this.bookBtn?.addEventListener('click', () => {
+                const ids = this.getSchools().map(school => school.id);
+                this.modal.close();
+                this.onBook?.(ids, this.fab);
+            });
+            if (this.bookBtn) this.bookBtn.hidden = !this.onBook;
+
+            this.copyBtn?.addEventListener('click', () => this.copyLink());
+            this.element.querySelector('.shortlist__clear')?.addEventListener('click', () => this.shortlist.setIds([]));
+
+            document.addEventListener('shortlistChange', () => this.render());
+            document.addEventListener('localeChange', () => this.render());
+
+            this.render();
+            this.importShared();
+        }
+
+        /**
+         * Shortlisted schools taking part in this edition, in the order they were added
+         */
+        getSchools() {
+            return this.shortlist.getIds()
+                .map(id => this.schools.find(school => school.id === id))
+                .filter(Boolean);
+        }
+
+        /**
+         * Merge a shortlist opened from a shared link into this device's one, then drop it from the URL
+         */
+        importShared() {
+            const ids = Shortlist.getIdsFromURL().filter(id => this.schools.some(school => school.id === id));
+            if (!ids.length) return;
+
+            this.shortlist.add(ids);
+
+            const url = new URL(window.location.href);
+            url.searchParams.delete(SHORTLIST_PARAM);
+            history.replaceState(history.state, '', url);
+
+            if (this.notice) {
+                this.notice.textContent = t('{count} schools were shared with you and added to your shortlist.', { count: ids.length });
+                this.notice.hidden = false;
+            }
+            this.open(this.fab);
+        }
+
+        open(trigger) {
+            this.modal.open(trigger);
+        }
+
+        render() {
+            const schools = this.getSchools();
+
+            this.list.innerHTML = schools.map(school => `
+                <li class="shortlist__item">
+                    <img class="shortlist__logo" src="${escapeHTML(school.logo)}" alt="" loading="lazy">
+                    <span class="shortlist__name">${escapeHTML(school.name)}</span>
+                    <button type="button" class="shortlist__details" data-school-id="${escapeHTML(school.id)}">
+                        ${escapeHTML(t('Details'))}<span class="visually-hidden"> ${escapeHTML(t('for {school}', { school: school.name }))}</span>
+                    </button>
+                    ${this.shortlist.renderToggle(school)}
+                </li>
+            `).join('');
+
+            if (this.empty) this.empty.hidden = schools.length > 0;
+            if (this.actions) this.actions.hidden = schools.length === 0;
+            if (this.copyStatus) this.copyStatus.textContent = '';
+
+            if (this.whatsapp && schools.length) {
+                const message = t('Schools I shortlisted at {event}: {schools}', {
+                    event: t(this.event.name),
+                    schools: schools.map(school => school.name).join(', ')
+                });
+                this.whatsapp.href = `https://wa.me/?text=${encodeURIComponent(`${message}\n${this.shortlist.getShareUrl()}`)}`;
+            }
+
+            if (this.fab) {
+                this.fab.hidden = schools.length === 0;
+                const count = this.fab.querySelector('.shortlist-fab__count');
+                if (count) count.textContent = i18n.formatNumber(schools.length);
+            }
+        }
+
+        async copyLink() {
+            const url = this.shortlist.getShareUrl();
+            try {
+                await navigator.clipboard.writeText(url);
+                if (this.copyStatus) this.copyStatus.textContent = t('Link copied');
+            } catch (err) {
+                // No clipboard access (insecure context or denied): let the parent copy it by hand
+                window.prompt(t('Copy this link'), url);
+            }
+        }
+    }
+
+    // School Details Drawer
+    // ==========================================================================
+
+    const SCHOOL_TYPES = {
+        day: 'Day school',
+        boarding: 'Boarding school',
+        'day-boarding': 'Day and boarding'
+    };
+
+    /**
+     * "Nursery – Grade 12" from a { from, to } pair of GRADES values
+     */
+    function formatGradeRange(grades) {
+        const label = value => GRADES.find(grade => grade.value === value)?.label || value;
+        return grades ? `${label(grades.from)} – ${label(grades.to)}` : '';
+    }
+
+    class SchoolDrawer {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.shortlist = options.shortlist || null;
+            this.onBook = options.onBook || null;
+            this.content = element.querySelector('.school-drawer__content');
+            this.shortlistBtn = element.querySelector('.school-drawer__shortlist');
+            this.bookBtn = element.querySelector('.school-drawer__book');
+
+            this.school = null;
+            this.feeBands = [];
+            this.trigger = null;
+
+            this.init();
+        }
+
+        init() {
+            this.modal = new Modal(this.element);
+
+            this.shortlistBtn?.addEventListener('click', () => {
+                if (!this.school || !this.shortlist) return;
+                this.shortlist.toggle(this.school.id);
+            });
+
+            this.bookBtn?.addEventListener('click', () => {
+                if (!this.school) return;
+                const { id } = this.school;
+                this.modal.close();
+                this.onBook?.(id, this.trigger);
+            });
+
+            if (this.shortlistBtn) this.shortlistBtn.hidden = !this.shortlist;
+            if (this.bookBtn) this.bookBtn.hidden = !this.onBook;
+
+            // The hearts and the shortlist panel can change the shortlist while the drawer is open
+            document.addEventListener('shortlistChange', () => this.updateShortlistButton());
+            document.addEventListener('localeChange', () => {
+                if (this.school) this.render(this.school, this.feeBands);
+                this.updateShortlistButton();
+            });
+        }
+
+        async open(id, trigger) {
+            let data;
+            try {
+                data = await loadSchools();
+            } catch (err) {
+                console.warn('SchoolDrawer: could not load schools', err);
+                return;
+            }
+
+            const school = data.schools.find(item => item.id === id);
+            if (!school) return;
+
+            this.school = school;
+            this.feeBands = data.feeBands || [];
+            this.trigger = trigger;
+            this.render(school, this.feeBands);
+            this.updateShortlistButton();
+            this.modal.open(trigger);
+        }
+
+        render(school, feeBands) {
+            const fees = feeBands.find(band => band.id === school.feeBand)?.label;
+            const facts = [
+                ['Curriculum', (school.curriculum || []).join(', ')],
+                ['Grades', formatGradeRange(school.grades)],
+                ['Fees', fees],
+                ['Type', SCHOOL_TYPES[school.type] && t(SCHOOL_TYPES[school.type])]
+            ].filter(([, value]) => value);
+            const photos = school.photos || [];
+            const facilities = school.facilities || [];
+
+            this.content.innerHTML = `
+                <div class="school-drawer__header">
+                    <img class="school-drawer__logo" src="${escapeHTML(school.logo)}" alt="">
+                    <div>
+                        <h2 id="school-drawer-title" class="modal__title school-drawer__title">${escapeHTML(school.name)}</h2>
+                        <p class="school-drawer__locality">${escapeHTML(school.locality || '')}</p>
+                    </div>
+                </div>
+                <dl class="school-drawer__facts">
+                    ${facts.map(([label, value]) => `
+                        <div class="school-drawer__fact">
+                            <dt>${escapeHTML(t(label))}</dt>
+                            <dd>${escapeHTML(value)}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+                ${facilities.length ? `
+                    <h3 class="school-drawer__heading">${escapeHTML(t('Facilities'))}</h3>
+                    <ul class="school-drawer__facilities">
+                        ${facilities.map(item => `<li>${escapeHTML(item)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${photos.length ? `
+                    <h3 class="school-drawer__heading">${escapeHTML(t('Photos'))}</h3>
+                    <div class="school-drawer__photos">
+                        ${photos.map(photo => `<img src="${escapeHTML(photo.src)}" alt="${escapeHTML(photo.alt || '')}" loading="lazy">`).join('')}
+                    </div>
+                ` : ''}
+            `;
+        }
+
+        updateShortlistButton() {
+            if (!this.shortlistBtn || !this.shortlist || !this.school) return;
+
+            const isShortlisted = this.shortlist.has(this.school.id);
+            this.shortlistBtn.setAttribute('aria-pressed', String(isShortlisted));
+            this.shortlistBtn.textContent = t(isShortlisted ? 'Shortlisted ✓' : 'Add to shortlist');
+        }
+    }
+
+    // School Finder
+    // ==========================================================================
+
+    const FINDER_FILTERS = ['q', 'category', 'curriculum', 'grade', 'fee'];
+
+    /**
+     * Typos allowed for a search word of this length
+     */
+    function allowedTypos(length) {
+        if (length <= 3) return 0;
+        return length <= 6 ? 1 : 2;
+    }
+
+    /**
+     * True when a query word matches a word, or the start of one, within the typo budget
+     */
+    function fuzzyWordMatch(query, word) {
+        if (word.startsWith(query)) return true;
+        const budget = allowedTypos(query.length);
+        if (!budget) return false;
+        // Compare against the whole word and a same-length prefix, so partly typed words match too
+        return editDistance(query, word) <= budget ||
+            editDistance(query, word.slice(0, query.length)) <= budget;
+    }
+
+    function tokenize(text) {
+        return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    class SchoolFinder {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.onSelect = options.onSelect || null;
+            this.comparison = options.comparison || null;
+            this.shortlist = options.shortlist || null;
+            this.form = element.querySelector('.school-finder__filters');
+            this.results = element.querySelector('.school-finder__results');
+            this.count = element.querySelector('.school-finder__count');
+
+            this.data = null;
+
+            this.init();
+        }
+
+        async init() {
+            if (!this.form || !this.results) return;
+
+            try {
+                this.data = await loadSchools();
+            } catch (err) {
+                console.warn('SchoolFinder: could not load schools', err);
+                this.element.hidden = true;
+                return;
+            }
+
+            this.fillOptions();
+            this.setFilters(this.getFiltersFromURL(), { updateURL: false });
+
+            const onChange = () => {
+                this.updateURL();
+                this.render();
+            };
+            this.form.addEventListener('change', onChange);
+            this.results.addEventListener('change', (e) => {
+                if (e.target.matches('.school-finder__compare-input')) this.comparison?.toggle(e.target.value);
+            });
+            document.addEventListener('compareChange', () => this.updateCompareInputs());
+            document.addEventListener('localeChange', () => this.render());
+            this.form.addEventListener('input', debounce(onChange, 200));
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+            // Reset fires before the controls are cleared
+            this.form.addEventListener('reset', () => setTimeout(onChange));
+
+            this.results.addEventListener('click', (e) => {
+                const button = e.target.closest('.school-finder__details');
+                if (button) this.onSelect?.(button.dataset.schoolId, button);
+            });
+
+            window.addEventListener('popstate', () => this.setFilters(this.getFiltersFromURL(), { updateURL: false }));
+        }
+
+        fillOptions() {
+            const sources = {
+                categories: this.data.categories || [],
+                curricula: this.data.curricula || [],
+                feeBands: this.data.feeBands || [],
+                grades: GRADES
+            };
+
+            this.form.querySelectorAll('select[data-options]').forEach(select => {
+                (sources[select.dataset.options] || []).forEach(option => {
+                    const element = new Option(option.label, option.id || option.value);
+                    if (select.dataset.options === 'grades') element.dataset.i18n = '';
+                    select.add(element);
+                });
+            });
+            i18n.translate(this.form);
+        }
+
+        getFiltersFromURL() {
+            const params = new URLSearchParams(window.location.search);
+            return Object.fromEntries(FINDER_FILTERS.map(name => [name, params.get(name) || '']));
+        }
+
+        getFilters() {
+            return Object.fromEntries(FINDER_FILTERS.map(name => [name, (this.form.elements[name]?.value || '').trim()]));
+        }
+
+        /**
+         * Apply filters programmatically, e.g. from a category card
+         */
+        setFilters(filters, { updateURL = true } = {}) {
+            if (!this.data) return;
+
+            FINDER_FILTERS.forEach(name => {
+                const control = this.form.elements[name];
+                if (!control) return;
+                const value = filters[name] || '';
+                // Ignore values from a stale or hand-edited URL that are not in the list
+                const isKnown = control.tagName !== 'SELECT' || Array.from(control.options).some(option => option.value === value);
+                control.value = isKnown ? value : '';
+            });
+
+            if (updateURL) this.updateURL();
+            this.render();
+        }
+
+        updateURL() {
+            const url = new URL(window.location.href);
+            Object.entries(this.getFilters()).forEach(([name, value]) => {
+                if (value) {
+                    url.searchParams.set(name, value);
+                } else {
+                    url.searchParams.delete(name);
+                }
+            });
+            history.replaceState(history.state, '', url);
+        }
+
+        getSearchText(school) {
+            const categories = (this.data.categories || [])
+                .filter(category => (school.categories || []).includes(category.id))
+                .map(category => category.label);
+            // Board names too, so "Cambridge" finds a school listed with IGCSE
+            const curricula = (this.data.curricula || [])
+                .filter(curriculum => (school.curriculum || []).some(item => (curriculum.matches || [curriculum.label]).includes(item)))
+                .map(curriculum => curriculum.label);
+            return [school.name, school.locality, ...(school.curriculum || []), ...curricula, ...categories].join(' ');
+        }
+
+        matches(school, filters) {
+            if (filters.category && !(school.categories || []).includes(filters.category)) return false;
+            if (filters.fee && school.feeBand !== filters.fee) return false;
+
+            if (filters.curriculum) {
+                const curriculum = (this.data.curricula || []).find(item => item.id === filters.curriculum);
+                const accepted = curriculum?.matches || [filters.curriculum];
+                if (!(school.curriculum || []).some(item => accepted.includes(item))) return false;
+            }
+
+            if (filters.grade) {
+                const index = value => GRADES.findIndex(grade => grade.value === value);
+                const grade = index(filters.grade);
+                if (!school.grades || grade < index(school.grades.from) || grade > index(school.grades.to)) return false;
+            }
+
+            if (filters.q) {
+                const words = tokenize(this.getSearchText(school));
+                return tokenize(filters.q).every(query => words.some(word => fuzzyWordMatch(query, word)));
+            }
+
+            return true;
+        }
+
+        render() {
+            const filters = this.getFilters();
+            const schools = this.data.schools.filter(school => this.matches(school, filters));
+            const feeBands = this.data.feeBands || [];
+
+            this.count.textContent = schools.length
+                ? t('{count} of {total} schools', { count: i18n.formatNumber(schools.length), total: i18n.formatNumber(this.data.schools.length) })
+                : t('No schools match these filters. Try removing one.');
+
+            this.results.innerHTML = schools.map(school => `
+                <li class="school-finder__result">
+                    <img class="school-finder__logo" src="${escapeHTML(school.logo)}" alt="" loading="lazy">
+                    <div class="school-finder__info">
+                        <h3 class="school-finder__name">${escapeHTML(school.name)}</h3>
+                        <p class="school-finder__meta">${escapeHTML(school.locality || '')}</p>
+                        <p class="school-finder__meta">${escapeHTML((school.curriculum || []).join(', '))} · ${escapeHTML(formatGradeRange(school.grades))}</p>
+                        <p class="school-finder__meta">${escapeHTML(feeBands.find(band => band.id === school.feeBand)?.label || '')}</p>
+                    </div>
+                    <div class="school-finder__actions">
+                        <button type="button" class="school-finder__details" data-school-id="${escapeHTML(school.id)}">
+                            ${escapeHTML(t('View details'))}<span class="visually-hidden"> ${escapeHTML(t('for {school}', { school: school.name }))}</span>
+                        </button>
+                        ${this.comparison ? `
+                            <label class="school-finder__compare">
+                                <input type="checkbox" class="school-finder__compare-input" value="${escapeHTML(school.id)}">
+                                ${escapeHTML(t('Compare'))}<span class="visually-hidden"> ${escapeHTML(school.name)}</span>
+                            </label>
+                        ` : ''}
+                        ${this.shortlist ? this.shortlist.renderToggle(school) : ''}
+                    </div>
+                </li>
+            `).join('');
+
+            this.updateCompareInputs();
+        }
+
+        updateCompareInputs() {
+            if (!this.comparison) return;
+
+            const isFull = this.comparison.isFull();
+            this.results.querySelectorAll('.school-finder__compare-input').forEach(input => {
+                input.checked = this.comparison.has(input.value);
+                // Once four are picked, the rest wait until one is removed
+                input.disabled = isFull && !input.checked;
+            });
+        }
+    }
+
+    // School Comparison
+    // ==========================================================================
+
+    const COMPARISON_LIMITS = { min: 2, max: 4 };
+
+    /**
+     * Quote a value for CSV (RFC 4180)
+     */
+    function toCSVCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    class SchoolComparison {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.tray = options.tray || null;
+            this.storageKey = options.storageKey || 'pse-compare';
+            this.table = element.querySelector('.comparison__table');
+
+            this.rows = [];
+            this.schools = [];
 
             this.init();
         }
 
         init() {
-            if (!this.track || this.slides.length === 0) return;
+            this.modal = new Modal(this.element);
 
-            this.setupEventListeners();
-            if (!prefersReducedMotion()) {
-                this.startAutoplay();
+            this.element.querySelector('.comparison__csv')?.addEventListener('click', () => this.downloadCSV());
+            this.element.querySelector('.comparison__print')?.addEventListener('click', () => window.print());
+
+            this.tray?.querySelector('.compare-tray__open')?.addEventListener('click', (e) => this.open(e.currentTarget));
+            this.tray?.querySelector('.compare-tray__clear')?.addEventListener('click', () => this.setIds([]));
+
+            document.addEventListener('localeChange', () => {
+                this.updateTray();
+                if (this.schools.length) this.render();
+            });
+            document.addEventListener('deviceDataRemoved', (e) => {
+                if (!e.detail.keys.includes(this.storageKey)) return;
+                this.updateTray();
+                document.dispatchEvent(new CustomEvent('compareChange', { detail: { ids: [] } }));
+            });
+
+            this.updateTray();
+        }
+
+        getIds() {
+            return storage.get(this.storageKey, []);
+        }
+
+        has(id) {
+            return this.getIds().includes(id);
+        }
+
+        isFull() {
+            return this.getIds().length >= COMPARISON_LIMITS.max;
+        }
+
+        toggle(id) {
+            const ids = this.getIds();
+            if (ids.includes(id)) {
+                this.setIds(ids.filter(item => item !== id));
+            } else if (!this.isFull()) {
+                this.setIds(ids.concat(id));
             }
-            this.updateAriaLabels();
+            return this.has(id);
         }
 
-        setupEventListeners() {
-            // Navigation buttons
-            this.prevBtn?.addEventListener('click', () => this.goToPrevSlide());
-            this.nextBtn?.addEventListener('click', () => this.goToNextSlide());
-            this.pauseBtn?.addEventListener('click', () => this.toggleAutoplay());
+        setIds(ids) {
+            storage.set(this.storageKey, ids);
+            this.updateTray();
+            document.dispatchEvent(new CustomEvent('compareChange', { detail: { ids } }));
+        }
 
-            // Keyboard navigation
-            this.container.addEventListener('keydown', (e) => {
-                if (e.key === 'ArrowLeft') {
-                    this.goToPrevSlide();
-                } else if (e.key === 'ArrowRight') {
-                    this.goToNextSlide();
-                } else if (e.key === ' ') {
-                    e.preventDefault();
-                    this.toggleAutoplay();
-                }
-            });
+        updateTray() {
+            if (!this.tray) return;
+
+            const count = this.getIds().length;
+            this.tray.hidden = count === 0;
+            this.tray.querySelector('.compare-tray__text').textContent = count < COMPARISON_LIMITS.min
+                ? t('{count} school selected. Pick at least {min} to compare.', { count, min: COMPARISON_LIMITS.min })
+                : t('{count} schools selected (up to {max}).', { count, max: COMPARISON_LIMITS.max });
+            const openBtn = this.tray.querySelector('.compare-tray__open');
+            if (openBtn) openBtn.disabled = count < COMPARISON_LIMITS.min;
+        }
+
+        async open(trigger) {
+            let data;
+            try {
+                data = await loadSchools();
+            } catch (err) {
+                console.warn('SchoolComparison: could not load schools', err);
+                return;
+            }
+
+            this.schools = this.getIds()
+                .map(id => data.schools.find(school => school.id === id))
+                .filter(Boolean);
+            if (this.schools.length < COMPARISON_LIMITS.min) return;
+
+            this.rows = this.getRows(data);
+            this.render();
+            this.modal.open(trigger);
+        }
 
-            // Pause on hover
-            this.container.addEventListener('mouseenter', () => this.pauseAutoplay());
-            this.container.addEventListener('mouseleave', () => {
-                if (!this.isPaused) this.startAutoplay();
+        getRows(data) {
+            const feeBand = school => (data.feeBands || []).find(band => band.id === school.feeBand)?.label;
+            const deadline = school => (school.admissionDeadline
+                ? i18n.formatDate(Date.parse(`${school.admissionDeadline}T00:00:00Z`), { day: 'numeric', month: 'short', year: 'numeric' })
+                : '');
+
+            return [
+                ['Curriculum', school => (school.curriculum || []).join(', ')],
+                ['Board', school => school.board],
+                ['Grades', school => formatGradeRange(school.grades)],
+                ['Student–teacher ratio', school => (school.studentTeacherRatio ? `${school.studentTeacherRatio}:1` : '')],
+                ['Fees', feeBand],
+                ['Type', school => SCHOOL_TYPES[school.type] && t(SCHOOL_TYPES[school.type])],
+                ['Transport', school => school.transport],
+                ['Facilities', school => (school.facilities || []).join(', ')],
+                ['Admission deadline', deadline]
+            ].map(([label, getValue]) => {
+                const values = this.schools.map(school => getValue(school) || '—');
+                return { label, values, differs: new Set(values).size > 1 };
             });
+        }
 
-            // Touch support
-            let touchStartX = 0;
-            let touchEndX = 0;
+        render() {
+            this.table.innerHTML = `
+                <caption class="visually-hidden">${escapeHTML(t('Comparison of {count} schools', { count: this.schools.length }))}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col" class="comparison__attribute">${escapeHTML(t('School'))}</th>
+                        ${this.schools.map(school => `
+                            <th scope="col">
+                                <img class="comparison__logo" src="${escapeHTML(school.logo)}" alt="">
+                                <span>${escapeHTML(school.name)}</span>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.rows.map(row => `
+                        <tr class="${row.differs ? 'comparison__row--differs' : ''}">
+                            <th scope="row" class="comparison__attribute">
+                                ${escapeHTML(t(row.label))}${row.differs ? `<span class="visually-hidden"> ${escapeHTML(t('(differs)'))}</span>` : ''}
+                            </th>
+                            ${row.values.map(value => `<td>${escapeHTML(value)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+        }
 
-            this.track.addEventListener('touchstart', (e) => {
-                touchStartX = e.changedTouches[0].screenX;
-            }, { passive: true });
+        downloadCSV() {
+            const lines = [[t('Attribute'), ...this.schools.map(school => school.name)]]
+                .concat(this.rows.map(row => [t(row.label), ...row.values]))
+                .map(cells => cells.map(toCSVCell).join(','));
 
-            this.track.addEventListener('touchend', (e) => {
-                touchEndX = e.changedTouches[0].screenX;
-                this.handleSwipe(touchStartX, touchEndX);
-            }, { passive: true });
+            // BOM so spreadsheet apps read the ₹ and dash characters as UTF-8
+            downloadFile('school-comparison.csv', '\uFEFF' + lines.join('\r\n') + '\r\n', 'text/csv;charset=utf-8');
         }
+    }
+
+    // Kiosk Mode (staff-operated lead capture tablets, ?kiosk=1)
+    // ==========================================================================
 
-        handleSwipe(startX, endX) {
-            const diff = startX - endX;
-            const threshold = 50;
+    const KIOSK_PARAM = 'kiosk';
+    const KIOSK_DEFAULTS = {
+        storageKey: 'pse-kiosk',
+        leadsKey: 'pse-kiosk-leads',
+        // Seconds without a touch before a half-filled form is wiped, ?kiosk=1&idle=60 to change
+        idleTimeout: 90,
+        // Seconds the thank-you screen stays up before the form is ready for the next parent
+        thanksDuration: 8,
+        pinLength: 4,
+        // Wrong PINs in a row before the exit is locked for lockoutDuration seconds
+        maxAttempts: 5,
+        lockoutDuration: 60
+    };
+    // Anything a parent might touch, scroll or type counts as activity
+    const KIOSK_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'input', 'wheel', 'scroll'];
 
-            if (Math.abs(diff) > threshold) {
-                if (diff > 0) {
-                    this.goToNextSlide();
-                } else {
-                    this.goToPrevSlide();
+    /**
+     * The PIN is only kept as a salted SHA-256 hash on the tablet
+     */
+    async function hashKioskPin(pin) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`pse-kiosk:${pin}`));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    class KioskMode {
+        /**
+         * Asked for in the URL, or still on from before the tablet reloaded
+         */
+        static isRequested() {
+            return new URLSearchParams(window.location.search).get(KIOSK_PARAM) === '1' ||
+                Boolean(storage.get(KIOSK_DEFAULTS.storageKey, null)?.pinHash);
+        }
+
+        constructor(options = {}) {
+            this.options = { ...KIOSK_DEFAULTS, ...options };
+            this.form = options.form;
+            this.validator = options.validator || null;
+            this.bar = options.bar || null;
+            this.thanks = options.thanks || null;
+            this.pinModalEl = options.pinModal || null;
+            this.settings = storage.get(this.options.storageKey, null) || {};
+            this.mode = 'exit';
+            this.idleTimer = null;
+            this.thanksTimer = null;
+            this.handleActivity = this.handleActivity.bind(this);
+
+            this.init();
+        }
+
+        init() {
+            // Hide the marketing sections straight away, even behind the PIN setup
+            document.documentElement.classList.add('kiosk-mode');
+
+            const idle = Number(new URLSearchParams(window.location.search).get('idle'));
+            if (idle > 0) this.settings.idleTimeout = idle;
+
+            this.pinModal = new Modal(this.pinModalEl, {
+                // Closing the setup without choosing a PIN means kiosk mode was not wanted after all
+                onClose: () => {
+                    if (this.mode === 'setup' && !this.settings.pinHash) this.exit();
                 }
+            });
+            this.pinForm = this.pinModalEl.querySelector('.kiosk-pin__form');
+            this.pinInput = this.pinModalEl.querySelector('.kiosk-pin__input');
+            this.pinError = this.pinModalEl.querySelector('.kiosk-pin__error');
+            this.pinForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handlePin(this.pinInput.value.trim());
+            });
+
+            this.bar?.querySelector('.kiosk-bar__exit')?.addEventListener('click', (e) => this.openPin('exit', e.currentTarget));
+            this.thanks?.querySelector('.kiosk-thanks__next')?.addEventListener('click', () => this.nextVisitor());
+
+            if (this.settings.pinHash) {
+                this.start();
+            } else {
+                this.openPin('setup');
             }
         }
 
-        goToNextSlide() {
-            this.currentSlide = (this.currentSlide + 1) % this.slides.length;
-            this.updateSlider();
+        start() {
+            this.saveSettings();
+
+            // No suggestions from the previous parent's answers
+            this.form.setAttribute('autocomplete', 'off');
+            if (this.bar) this.bar.hidden = false;
+            this.renderCount();
+
+            this.form.addEventListener('submitted', () => this.handleLead());
+            KIOSK_ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.handleActivity, { capture: true, passive: true }));
+            document.addEventListener('localeChange', () => this.renderCount());
+            this.restartIdleTimer();
+        }
+
+        exit() {
+            storage.remove(this.options.storageKey);
+
+            // Reload without ?kiosk so the whole page comes back as visitors normally see it
+            const url = new URL(window.location.href);
+            url.searchParams.delete(KIOSK_PARAM);
+            url.searchParams.delete('idle');
+            window.location.replace(url.toString());
         }
 
-        goToPrevSlide() {
-            this.currentSlide = (this.currentSlide - 1 + this.slides.length) % this.slides.length;
-            this.updateSlider();
+        openPin(mode, trigger) {
+            this.mode = mode;
+            const isSetup = mode === 'setup';
+            this.pinModalEl.querySelector('.kiosk-pin__title').textContent = t(isSetup ? 'Set a staff PIN' : 'Staff PIN');
+            this.pinModalEl.querySelector('.kiosk-pin__intro').textContent = t(isSetup
+                ? 'Choose a PIN of at least {length} digits. It is needed to leave kiosk mode on this tablet.'
+                : 'Enter the staff PIN to leave kiosk mode.', { length: this.options.pinLength });
+            this.pinModalEl.querySelector('.kiosk-pin__submit').textContent = t(isSetup ? 'Start kiosk mode' : 'Exit kiosk mode');
+            this.pinInput.value = '';
+            this.showPinError('');
+            this.pinModal.open(trigger);
         }
 
-        updateSlider() {
-            this.slides.forEach((slide, index) => {
-                slide.classList.toggle('hero__slide--active', index === this.currentSlide);
-            });
-            this.updateAriaLabels();
+        showPinError(message) {
+            this.pinError.textContent = message;
+            this.pinError.hidden = !message;
+            this.pinInput.toggleAttribute('aria-invalid', Boolean(message));
         }
 
-        updateAriaLabels() {
-            this.container.setAttribute('aria-live', this.isPaused ? 'polite' : 'off');
-            if (this.pauseBtn) {
-                this.pauseBtn.setAttribute('aria-label', 
-                    this.isPaused ? 'Play slideshow' : 'Pause slideshow'
-                );
-                this.pauseBtn.querySelector('span').textContent = this.isPaused ? '▶' : '⏸';
+        async handlePin(pin) {
+            if (!new RegExp(`^\\d{${this.options.pinLength},}$`).test(pin)) {
+                this.showPinError(t('Use at least {length} digits', { length: this.options.pinLength }));
+                return;
+            }
+
+            if (this.mode === 'setup') {
+                this.settings.pinHash = await hashKioskPin(pin);
+                this.pinModal.close();
+                this.start();
+                return;
+            }
+
+            // Wrong attempts and the lockout are stored with the PIN, so reloading the page does not reset them
+            if (Date.now() < (this.settings.lockedUntil || 0)) {
+                this.showPinError(t('Too many wrong PINs, try again in a minute'));
+                return;
             }
+
+            if (await hashKioskPin(pin) === this.settings.pinHash) {
+                this.exit();
+                return;
+            }
+
+            this.settings.failedAttempts = (this.settings.failedAttempts || 0) + 1;
+            this.pinInput.value = '';
+            if (this.settings.failedAttempts >= this.options.maxAttempts) {
+                this.settings.failedAttempts = 0;
+                this.settings.lockedUntil = Date.now() + this.options.lockoutDuration * 1000;
+                this.showPinError(t('Too many wrong PINs, try again in a minute'));
+            } else {
+                this.showPinError(t('That PIN is not right'));
+            }
+            this.saveSettings();
         }
 
-        startAutoplay() {
-            if (prefersReducedMotion()) return;
-            this.stopAutoplay();
-            this.autoplayInterval = setInterval(() => {
-                this.goToNextSlide();
-            }, this.autoplayDelay);
+        saveSettings() {
+            storage.set(this.options.storageKey, this.settings);
         }
 
-        stopAutoplay() {
-            if (this.autoplayInterval) {
-                clearInterval(this.autoplayInterval);
-                this.autoplayInterval = null;
-            }
+        handleActivity() {
+            this.restartIdleTimer();
         }
 
-        pauseAutoplay() {
-            this.stopAutoplay();
+        restartIdleTimer() {
+            clearTimeout(this.idleTimer);
+            const seconds = this.settings.idleTimeout || this.options.idleTimeout;
+            this.idleTimer = setTimeout(() => this.reset(), seconds * 1000);
         }
 
-        toggleAutoplay() {
-            this.isPaused = !this.isPaused;
-            if (this.isPaused) {
-                this.stopAutoplay();
+        /**
+         * Leave nothing of the last parent behind: their half-filled answers, open dialogs and remembered details
+         */
+        reset() {
+            // Not while an enquiry is on its way, FormValidator clears the form itself once it is safe
+            if (this.validator?.pendingId) {
+                this.restartIdleTimer();
+                return;
+            }
+
+            [...Modal.stack].reverse().forEach(modal => modal.close());
+            if (this.validator) {
+                this.validator.clear();
             } else {
-                this.startAutoplay();
+                this.form.reset();
+            }
+            storage.remove(REGISTRATION_DEFAULTS.visitorKey);
+            // The next parent has not agreed to usage statistics
+            storage.remove(ANALYTICS_CONSENT_KEY);
+            window.scrollTo(0, 0);
+        }
+
+        getLeadsToday() {
+            const leads = storage.get(this.options.leadsKey, null);
+            return leads?.date === toEventDate(Date.now()) ? leads.count : 0;
+        }
+
+        handleLead() {
+            storage.set(this.options.leadsKey, { date: toEventDate(Date.now()), count: this.getLeadsToday() + 1 });
+            this.renderCount();
+
+            if (!this.thanks) {
+                this.reset();
+                return;
             }
-            this.updateAriaLabels();
+
+            this.thanks.hidden = false;
+            this.thanks.querySelector('.kiosk-thanks__title')?.focus();
+            clearTimeout(this.thanksTimer);
+            this.thanksTimer = setTimeout(() => this.nextVisitor(), this.options.thanksDuration * 1000);
+        }
+
+        nextVisitor() {
+            clearTimeout(this.thanksTimer);
+            if (this.thanks) this.thanks.hidden = true;
+            this.reset();
+            this.restartIdleTimer();
+            this.form.querySelector('input, select')?.focus({ preventScroll: true });
+        }
+
+        renderCount() {
+            const count = this.bar?.querySelector('.kiosk-bar__count');
+            if (count) count.textContent = t('Leads today: {count}', { count: i18n.formatNumber(this.getLeadsToday()) });
         }
     }
 
-    // Choose School Slider
+    // Staff Dashboard (#/staff, lead review for counsellors)
     // ==========================================================================
 
-    class ChooseSchoolSlider {
-        constructor(container) {
-            this.container = container;
-            this.track = container.querySelector('.choose-school__track');
-            this.cards = container.querySelectorAll('.choose-school__card');
-            this.prevBtn = container.querySelector('.choose-school__nav--prev');
-            this.nextBtn = container.querySelector('.choose-school__nav--next');
-            this.dots = container.querySelectorAll('.choose-school__dot');
-            
-            this.currentIndex = 0;
-            this.cardsPerView = this.getCardsPerView();
-            this.maxIndex = Math.max(0, this.cards.length - this.cardsPerView);
+    const STAFF_ROUTE = '#/staff';
+    const STAFF_DEFAULTS = {
+        sessionEndpoint: '/api/staff-sessions',
+        // sessionStorage, so signing in lasts until the tab is closed
+        sessionKey: 'pse-staff-session'
+    };
+    // Every form that captures a lead, shown side by side in the dashboard
+    const LEAD_SOURCES = [
+        { endpoint: SUBMISSION_DEFAULTS.endpoint, label: 'Enquiry' },
+        { endpoint: INTEREST_ENDPOINT, label: 'Interest list' }
+    ];
+    const LEAD_STATUSES = [
+        { value: 'new', label: 'New' },
+        { value: 'called', label: 'Called' },
+        { value: 'booked', label: 'Booked' },
+        { value: 'not-interested', label: 'Not interested' }
+    ];
+    const LEAD_SORTS = {
+        newest: { label: 'Newest first', compare: (a, b) => b.submittedAt - a.submittedAt },
+        oldest: { label: 'Oldest first', compare: (a, b) => a.submittedAt - b.submittedAt },
+        name: { label: 'Parent name', compare: (a, b) => a.name.localeCompare(b.name) || b.submittedAt - a.submittedAt },
+        status: {
+            label: 'Status',
+            compare: (a, b) => LEAD_STATUSES.findIndex(status => status.value === a.status) -
+                LEAD_STATUSES.findIndex(status => status.value === b.status) || b.submittedAt - a.submittedAt
+        }
+    };
+    const LEAD_COLUMNS = ['Reference', 'Submitted', 'Source', 'Parent', 'Phone', 'Children', 'Status', 'Assigned school', 'Shortlisted schools', 'Enquiries from this phone'];
+
+    /**
+     * The last 10 digits, so +91 98765 43210, 098765 43210 and 9876543210 count as one parent
+     */
+    function normalizePhone(phone) {
+        return String(phone ?? '').replace(/\D/g, '').slice(-10);
+    }
+
+    /**
+     * Spreadsheet apps run cells starting with = + - @ as formulas, so those are quoted as text
+     */
+    function toCSV(rows) {
+        const cell = (value) => {
+            let text = String(value ?? '');
+            if (/^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        // The byte order mark makes Excel read the file as UTF-8, names can be in any script
+        return `\ufeff${rows.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+    }
+
+    const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        bytes.forEach((byte) => {
+            crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        });
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Uncompressed ZIP archive of { name: text } files, which is all an XLSX needs to be
+     */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = crc32(data);
+
+            // Shared by the local header (from offset 4) and the central directory entry (from offset 6)
+            const header = (size, signature) => {
+                const view = new DataView(new ArrayBuffer(size));
+                view.setUint32(0, signature, true);
+                return view;
+            };
+            const describe = (view, at) => {
+                view.setUint16(at, 20, true);               // version needed to extract
+                view.setUint16(at + 2, 0x0800, true);       // UTF-8 names
+                view.setUint16(at + 4, 0, true);            // stored, no compression
+                view.setUint16(at + 6, 0, true);            // time
+                view.setUint16(at + 8, 0x21, true);         // date, 1 January 1980
+                view.setUint32(at + 10, crc, true);
+                view.setUint32(at + 14, data.length, true);
+                view.setUint32(at + 18, data.length, true);
+                view.setUint16(at + 22, nameBytes.length, true);
+            };
+
+            const local = header(30, 0x04034b50);
+            describe(local, 4);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = header(46, 0x02014b50);
+            central.setUint16(4, 20, true);                 // version made by
+            describe(central, 6);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, centralParts.length / 2, true);
+        end.setUint16(10, centralParts.length / 2, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Single-sheet workbook with every cell as text, so phone numbers keep their digits
+     */
+    function buildXLSX(rows, sheetName = 'Sheet1') {
+        const xml = value => escapeHTML(String(value ?? '').replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, ''));
+        const column = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            return name;
+        };
+        const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) =>
+            `<c r="${column(c)}${r + 1}" t="inlineStr"><is><t xml:space="preserve">${xml(value)}</t></is></c>`).join('')}</row>`).join('');
+        const declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+        return buildZip({
+            '[Content_Types].xml': `${declaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels': `${declaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+            'xl/workbook.xml': `${declaration}<workbook xmlns="${main}" xmlns:r="${relationships}">` +
+                `<sheets><sheet name="${xml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': `${declaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+            'xl/worksheets/sheet1.xml': `${declaration}<worksheet xmlns="${main}"><sheetData>${sheetRows}</sheetData></worksheet>`
+        });
+    }
+
+    class StaffDashboard {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { ...STAFF_DEFAULTS, ...options };
+            this.queue = options.queue || null;
+            this.loginForm = element.querySelector('.staff__login');
+            this.loginError = element.querySelector('.staff__login-error');
+            this.session = element.querySelector('.staff__session');
+            this.leadsEl = element.querySelector('.staff__leads');
+            this.filtersForm = element.querySelector('.staff__filters');
+            this.summary = element.querySelector('.staff__summary');
+            this.tbody = element.querySelector('.staff__table tbody');
+            this.empty = element.querySelector('.staff__empty');
+            this.leads = [];
+            this.schools = [];
+            this.isActive = false;
 
             this.init();
         }
 
         init() {
-            if (!this.track || this.cards.length === 0) return;
+            this.renderFilterOptions();
+
+            this.loginForm?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.signIn(this.loginForm.elements.password.value);
+            });
+            this.session?.querySelector('.staff__refresh')?.addEventListener('click', () => this.load());
+            this.session?.querySelector('.staff__logout')?.addEventListener('click', () => this.signOut());
+            this.session?.querySelectorAll('.staff__export').forEach(btn => {
+                btn.addEventListener('click', () => this.export(btn.dataset.format));
+            });
+
+            this.filtersForm?.addEventListener('submit', e => e.preventDefault());
+            this.filtersForm?.addEventListener('input', () => this.render());
+
+            // Status and school are edited in place, delegated so re-rendered rows are covered
+            this.tbody?.addEventListener('change', (e) => {
+                const control = e.target.closest('[data-review]');
+                const row = e.target.closest('[data-lead-id]');
+                if (control && row) this.updateReview(row.dataset.leadId, { [control.dataset.review]: control.value });
+            });
 
-            this.setupEventListeners();
-            this.updateSlider();
-            this.handleResize();
+            window.addEventListener('hashchange', () => this.route());
+            document.addEventListener('localeChange', () => {
+                this.renderFilterOptions();
+                if (this.isActive) this.render();
+            });
+            this.route();
         }
 
-        getCardsPerView() {
-            const width = window.innerWidth;
-            if (width < 480) return 1;
-            if (width < 768) return 1;
-            if (width < 1024) return 2;
-            return 4;
+        route() {
+            const isActive = window.location.hash === STAFF_ROUTE;
+            if (isActive === this.isActive) return;
+
+            this.isActive = isActive;
+            document.documentElement.classList.toggle('staff-mode', isActive);
+            this.element.hidden = !isActive;
+            if (!isActive) return;
+
+            window.scrollTo(0, 0);
+            if (this.getToken()) {
+                this.load();
+            } else {
+                this.showLogin();
+            }
+        }
+
+        getToken() {
+            try {
+                return window.sessionStorage.getItem(this.options.sessionKey);
+            } catch (err) {
+                return null;
+            }
+        }
+
+        setToken(token) {
+            try {
+                if (token) {
+                    window.sessionStorage.setItem(this.options.sessionKey, token);
+                } else {
+                    window.sessionStorage.removeItem(this.options.sessionKey);
+                }
+            } catch (err) {
+                // Without sessionStorage staff sign in again after a reload
+            }
         }
 
-        setupEventListeners() {
-            this.prevBtn?.addEventListener('click', () => this.goToPrev());
-            this.nextBtn?.addEventListener('click', () => this.goToNext());
+        showLogin(message = '') {
+            this.leads = [];
+            if (this.tbody) this.tbody.innerHTML = '';
+            if (this.session) this.session.hidden = true;
+            if (this.leadsEl) this.leadsEl.hidden = true;
+            if (!this.loginForm) return;
+
+            this.loginForm.hidden = false;
+            this.loginForm.reset();
+            this.loginError.textContent = message;
+            this.loginError.hidden = !message;
+            this.loginForm.elements.password.focus();
+        }
 
-            this.dots.forEach((dot, index) => {
-                dot.addEventListener('click', () => this.goToIndex(index));
+        async signIn(password) {
+            const submitBtn = this.loginForm.querySelector('[type="submit"]');
+            submitBtn.disabled = true;
+            try {
+                const response = await fetch(this.options.sessionEndpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                    body: JSON.stringify({ password })
+                });
+                if (response.status === 401) {
+                    this.showLogin(t('That password is not right'));
+                    return;
+                }
+                if (!response.ok) throw new Error(`Sign in failed (${response.status})`);
+
+                this.setToken((await response.json()).token);
+                this.load();
+            } catch (err) {
+                this.showLogin(t('Could not reach the server. Check the connection and try again.'));
+            } finally {
+                submitBtn.disabled = false;
+            }
+        }
+
+        signOut() {
+            this.setToken(null);
+            this.showLogin();
+        }
+
+        async request(url, options = {}) {
+            const response = await fetch(url, {
+                ...options,
+                headers: { Accept: 'application/json', Authorization: `Bearer ${this.getToken()}`, ...options.headers }
+            });
+            if (response.status === 401) {
+                const err = new Error('Staff session expired');
+                err.status = 401;
+                throw err;
+            }
+            if (!response.ok) throw new Error(`Request to ${url} failed (${response.status})`);
+            return response.json();
+        }
+
+        async load() {
+            if (this.loginForm) this.loginForm.hidden = true;
+            if (this.session) this.session.hidden = false;
+            if (this.leadsEl) this.leadsEl.hidden = false;
+            this.summary.textContent = t('Loading enquiries…');
+
+            try {
+                const [schools, ...sources] = await Promise.all([
+                    loadSchools().then(data => data.schools).catch(() => []),
+                    ...LEAD_SOURCES.map(source => this.request(source.endpoint))
+                ]);
+                this.schools = schools;
+                this.renderFilterOptions();
+                this.setLeads(sources.flatMap((payloads, index) => payloads.map(payload => this.toLead(payload, LEAD_SOURCES[index]))));
+            } catch (err) {
+                if (err.status === 401) {
+                    this.setToken(null);
+                    this.showLogin(t('Your session has ended, please sign in again'));
+                    return;
+                }
+                console.warn('StaffDashboard: could not load the enquiries', err);
+                this.summary.textContent = t('Could not load the enquiries. Check the connection and try again.');
+            }
+        }
+
+        /**
+         * Enquiries still in this device's submission queue are shown too, they cannot be reviewed until they arrive
+         */
+        getQueuedLeads(received) {
+            return (this.queue?.getEntries() || [])
+                .map(entry => ({ entry, source: LEAD_SOURCES.find(source => source.endpoint === entry.endpoint) }))
+                .filter(({ entry, source }) => source && !received.has(entry.payload.id))
+                .map(({ entry, source }) => ({ ...this.toLead(entry.payload, source), isQueued: true }));
+        }
+
+        setLeads(leads) {
+            const received = new Set(leads.map(lead => lead.id));
+            this.leads = leads.concat(this.getQueuedLeads(received));
+
+            // Same parent, same phone: the newest enquiry is the one to call back about
+            const byPhone = new Map();
+            this.leads.forEach((lead) => {
+                const key = lead.phoneKey || lead.id;
+                if (!byPhone.has(key)) byPhone.set(key, []);
+                byPhone.get(key).push(lead);
+            });
+            byPhone.forEach((group) => {
+                group.sort(LEAD_SORTS.newest.compare);
+                group.forEach((lead, index) => {
+                    lead.duplicates = group.length;
+                    lead.isLatest = index === 0;
+                });
+            });
+
+            this.render();
+        }
+
+        toLead(payload, source) {
+            const data = payload.data || {};
+            return {
+                id: payload.id,
+                source,
+                submittedAt: Date.parse(payload.submittedAt) || 0,
+                name: String(data['parent-name'] || ''),
+                phone: String(data['phone-number'] || ''),
+                phoneKey: normalizePhone(data['phone-number']),
+                children: data.children || [],
+                shortlist: payload.shortlist || [],
+                status: payload.review?.status || 'new',
+                schoolId: payload.review?.schoolId || '',
+                isQueued: false
+            };
+        }
+
+        getSchoolName(id) {
+            return this.schools.find(school => school.id === id)?.name || id;
+        }
+
+        describeChildren(lead) {
+            const gradeLabel = value => GRADES.find(grade => grade.value === value)?.label || value;
+            return lead.children.map(child => `${t(gradeLabel(child.grade))} (${child.admissionYear})`).join(', ');
+        }
+
+        formatSubmitted(lead) {
+            return lead.submittedAt ? i18n.formatDate(lead.submittedAt, {
+                day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', timeZone: EVENT_TIMEZONE
+            }) : '';
+        }
+
+        getFilters() {
+            const elements = this.filtersForm?.elements;
+            return {
+                query: (elements?.query.value || '').trim().toLowerCase(),
+                status: elements?.status.value || '',
+                school: elements?.school.value || '',
+                sort: elements?.sort.value || 'newest',
+                latestOnly: Boolean(elements?.latestOnly.checked)
+            };
+        }
+
+        getVisibleLeads() {
+            const filters = this.getFilters();
+            const phoneQuery = normalizePhone(filters.query);
+
+            return this.leads.filter((lead) => {
+                if (filters.status && lead.status !== filters.status) return false;
+                if (filters.school === 'unassigned' && lead.schoolId) return false;
+                if (filters.school && filters.school !== 'unassigned' && lead.schoolId !== filters.school) return false;
+                if (filters.latestOnly && !lead.isLatest) return false;
+                if (!filters.query) return true;
+                return lead.name.toLowerCase().includes(filters.query) ||
+                    lead.id.toLowerCase().includes(filters.query) ||
+                    (phoneQuery.length >= 3 && lead.phoneKey.includes(phoneQuery)) ||
+                    this.getSchoolName(lead.schoolId).toLowerCase().includes(filters.query);
+            }).sort(LEAD_SORTS[filters.sort]?.compare || LEAD_SORTS.newest.compare);
+        }
+
+        renderFilterOptions() {
+            const elements = this.filtersForm?.elements;
+            if (!elements) return;
+
+            const keep = (select, html) => {
+                const value = select.value;
+                select.innerHTML = html;
+                if (value) select.value = value;
+            };
+            keep(elements.status, `<option value="">${escapeHTML(t('All statuses'))}</option>` +
+                LEAD_STATUSES.map(status => `<option value="${status.value}">${escapeHTML(t(status.label))}</option>`).join(''));
+            keep(elements.sort, Object.entries(LEAD_SORTS)
+                .map(([value, sort]) => `<option value="${value}">${escapeHTML(t(sort.label))}</option>`).join(''));
+            keep(elements.school, `<option value="">${escapeHTML(t('All schools'))}</option>` +
+                `<option value="unassigned">${escapeHTML(t('Not assigned yet'))}</option>` +
+                this.schools.map(school => `<option value="${escapeHTML(school.id)}">${escapeHTML(school.name)}</option>`).join(''));
+        }
+
+        render() {
+            if (!this.tbody) return;
+
+            const leads = this.getVisibleLeads();
+            const parents = new Set(this.leads.map(lead => lead.phoneKey || lead.id)).size;
+            this.summary.textContent = t('Showing {shown} of {total} enquiries from {parents} parents', {
+                shown: i18n.formatNumber(leads.length),
+                total: i18n.formatNumber(this.leads.length),
+                parents: i18n.formatNumber(parents)
             });
+            this.empty.hidden = leads.length > 0;
+
+            this.tbody.innerHTML = leads.map((lead) => {
+                const statusOptions = LEAD_STATUSES.map(status => `
+                    <option value="${status.value}" ${status.value === lead.status ? 'selected' : ''}>${escapeHTML(t(status.label))}</option>
+                `).join('');
+                const schoolOptions = this.schools.map(school => `
+                    <option value="${escapeHTML(school.id)}" ${school.id === lead.schoolId ? 'selected' : ''}>${escapeHTML(school.name)}</option>
+                `).join('');
+                const shortlisted = lead.shortlist.map(id => this.getSchoolName(id)).join(', ');
+
+                return `
+                    <tr class="staff__row${lead.isLatest ? '' : ' staff__row--older'}" data-lead-id="${escapeHTML(lead.id)}">
+                        <td>
+                            ${escapeHTML(this.formatSubmitted(lead))}
+                            <span class="staff__tag">${escapeHTML(t(lead.source.label))}</span>
+                            ${lead.isQueued ? `<span class="staff__tag staff__tag--queued">${escapeHTML(t('Waiting to send'))}</span>` : ''}
+                        </td>
+                        <td>
+                            <strong>${escapeHTML(lead.name)}</strong>
+                            ${lead.duplicates > 1 ? `<span class="staff__tag staff__tag--duplicate">${escapeHTML(t(lead.isLatest
+                                ? '{count} enquiries from this phone'
+                                : 'Older duplicate', { count: lead.duplicates }))}</span>` : ''}
+                        </td>
+                        <td><a href="tel:${escapeHTML(lead.phoneKey)}">${escapeHTML(lead.phone)}</a></td>
+                        <td>
+                            ${escapeHTML(this.describeChildren(lead))}
+                            ${shortlisted ? `<span class="staff__shortlist">${escapeHTML(t('Shortlisted: {schools}', { schools: shortlisted }))}</span>` : ''}
+                        </td>
+                        <td>
+                            <select class="staff__status staff__status--${lead.status}" data-review="status"
+                                aria-label="${escapeHTML(t('Status for {name}', { name: lead.name }))}" ${lead.isQueued ? 'disabled' : ''}>
+                                ${statusOptions}
+                            </select>
+                        </td>
+                        <td>
+                            <select class="staff__school" data-review="schoolId"
+                                aria-label="${escapeHTML(t('School for {name}', { name: lead.name }))}" ${lead.isQueued ? 'disabled' : ''}>
+                                <option value="">${escapeHTML(t('Not assigned yet'))}</option>
+                                ${schoolOptions}
+                            </select>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        async updateReview(id, change) {
+            const lead = this.leads.find(item => item.id === id);
+            if (!lead || lead.isQueued) return;
+
+            const previous = { status: lead.status, schoolId: lead.schoolId };
+            Object.assign(lead, change);
+            this.render();
+
+            try {
+                const payload = await this.request(`${lead.source.endpoint}/${encodeURIComponent(id)}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ review: change })
+                });
+                Object.assign(lead, { status: payload.review?.status || lead.status, schoolId: payload.review?.schoolId ?? lead.schoolId });
+            } catch (err) {
+                Object.assign(lead, previous);
+                this.render();
+                if (err.status === 401) {
+                    this.setToken(null);
+                    this.showLogin(t('Your session has ended, please sign in again'));
+                    return;
+                }
+                this.summary.textContent = t('Could not save the change for {name}. Please try again.', { name: lead.name });
+            }
+        }
+
+        /**
+         * What is on screen, in the same order, as CSV or an Excel workbook
+         */
+        export(format) {
+            const rows = [LEAD_COLUMNS.map(column => t(column))].concat(this.getVisibleLeads().map(lead => [
+                lead.id,
+                lead.submittedAt ? new Date(lead.submittedAt).toISOString() : '',
+                t(lead.source.label),
+                lead.name,
+                lead.phone,
+                this.describeChildren(lead),
+                t(LEAD_STATUSES.find(status => status.value === lead.status)?.label || lead.status),
+                lead.schoolId ? this.getSchoolName(lead.schoolId) : '',
+                lead.shortlist.map(id => this.getSchoolName(id)).join(', '),
+                lead.duplicates
+            ]));
+            const filename = `enquiries-${toEventDate(Date.now())}`;
+
+            if (format === 'xlsx') {
+                downloadFile(`${filename}.xlsx`, buildXLSX(rows, t('Enquiries')),
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            } else {
+                downloadFile(`${filename}.csv`, toCSV(rows), 'text/csv;charset=utf-8');
+            }
+        }
+    }
 
-            // Touch support
-            let touchStartX = 0;
-            let touchEndX = 0;
+    // Analytics (anonymous funnel events, batched to a pluggable sink)
+    // ==========================================================================
+
+    const ANALYTICS_DEFAULTS = {
+        sink: 'beacon',             // 'beacon', 'console', 'buffer' or a name added with Analytics.addSink()
+        endpoint: '/api/analytics',
+        bufferName: 'pseAnalytics', // window array the 'buffer' sink appends to
+        batchSize: 20,              // send as soon as this many events are waiting
+        flushInterval: 30000        // and at least this often while the page is open
+    };
+    const ANALYTICS_CONSENT_KEY = 'pse-analytics';
+
+    // A sink receives whole batches: { id, sentAt, events }
+    const ANALYTICS_SINKS = {
+        console: () => ({
+            send: batch => console.info('[analytics]', batch)
+        }),
+        // sendBeacon survives the page being closed, fetch with keepalive is the fallback
+        beacon: ({ endpoint }) => ({
+            send: (batch) => {
+                const body = JSON.stringify(batch);
+                if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) return;
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {});
+            }
+        }),
+        // For a tag manager or the devtools console to read
+        buffer: ({ bufferName }) => {
+            window[bufferName] = window[bufferName] || [];
+            return { send: batch => window[bufferName].push(...batch.events) };
+        }
+    };
+
+    /**
+     * Do Not Track and Global Privacy Control both count as a standing "no"
+     */
+    function isTrackingBlocked() {
+        return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    }
 
-            this.track.addEventListener('touchstart', (e) => {
-                touchStartX = e.changedTouches[0].screenX;
-            }, { passive: true });
+    /**
+     * Collection names and rows reduce to one field, `children[1][grade]` reports as `children.grade`
+     */
+    function toFieldKey(name) {
+        return name.replace(/\[\d+\]\[([\w-]+)\]$/, '.$1');
+    }
 
-            this.track.addEventListener('touchend', (e) => {
-                touchEndX = e.changedTouches[0].screenX;
-                this.handleSwipe(touchStartX, touchEndX);
-            }, { passive: true });
+    class Analytics {
+        constructor(options = {}) {
+            this.options = { ...ANALYTICS_DEFAULTS, ...options };
+            const createSink = ANALYTICS_SINKS[this.options.sink] || ANALYTICS_SINKS.console;
+            this.sink = createSink(this.options);
+            // Per page view and never stored, so events cannot be joined across visits
+            this.pageViewId = createId('pv');
+            this.events = [];
+            this.flushTimer = null;
+            this.forms = new Map();
 
-            // Keyboard navigation
-            this.container.addEventListener('keydown', (e) => {
-                if (e.key === 'ArrowLeft') {
-                    this.goToPrev();
-                } else if (e.key === 'ArrowRight') {
-                    this.goToNext();
-                }
-            });
+            this.init();
         }
 
-        handleResize() {
-            window.addEventListener('resize', debounce(() => {
-                this.cardsPerView = this.getCardsPerView();
-                this.maxIndex = Math.max(0, this.cards.length - this.cardsPerView);
-                this.currentIndex = Math.min(this.currentIndex, this.maxIndex);
-                this.updateSlider();
-            }, 250));
+        /**
+         * Register a custom sink usable as the `sink` option
+         */
+        static addSink(name, factory) {
+            ANALYTICS_SINKS[name] = factory;
         }
 
-        handleSwipe(startX, endX) {
-            const diff = startX - endX;
-            const threshold = 50;
-
-            if (Math.abs(diff) > threshold) {
-                if (diff > 0) {
-                    this.goToNext();
-                } else {
-                    this.goToPrev();
-                }
-            }
+        /**
+         * Off until the parent agrees on a form or in "Manage my data", and always under Do Not Track or Global Privacy Control
+         */
+        static isEnabled() {
+            return !isTrackingBlocked() && storage.get(ANALYTICS_CONSENT_KEY, null) === 'granted';
         }
 
-        goToNext() {
-            if (this.currentIndex < this.maxIndex) {
-                this.currentIndex++;
-                this.updateSlider();
-            }
+        static setEnabled(isEnabled) {
+            storage.set(ANALYTICS_CONSENT_KEY, isEnabled ? 'granted' : 'denied');
+            document.dispatchEvent(new CustomEvent('analyticsConsentChange', { detail: { isEnabled } }));
         }
 
-        goToPrev() {
-            if (this.currentIndex > 0) {
-                this.currentIndex--;
-                this.updateSlider();
-            }
-        }
+        init() {
+            this.bindInteractions();
+            this.bindForms();
 
-        goToIndex(index) {
-            this.currentIndex = Math.min(index, this.maxIndex);
-            this.updateSlider();
+            // pagehide fires on mobile where unload never does, and still lets sendBeacon through
+            window.addEventListener('pagehide', () => {
+                this.trackAbandonedForms();
+                this.flush();
+            });
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            // Anything collected before an opt-out is dropped, not sent
+            document.addEventListener('analyticsConsentChange', (e) => {
+                if (!e.detail.isEnabled) this.events = [];
+            });
         }
 
-        updateSlider() {
-            const cardWidth = this.cards[0]?.offsetWidth || 0;
-            const gap = 24; // --spacing-lg
-            const offset = -(this.currentIndex * (cardWidth + gap));
-            
-            if (!prefersReducedMotion()) {
-                this.track.style.transform = `translateX(${offset}px)`;
-            } else {
-                this.track.style.transform = `translateX(${offset}px)`;
-                this.track.style.transition = 'none';
-            }
-
-            // Update dots
-            this.dots.forEach((dot, index) => {
-                const isActive = index === this.currentIndex;
-                dot.classList.toggle('choose-school__dot--active', isActive);
-                dot.setAttribute('aria-selected', isActive);
+        /**
+         * Queue an event. Only names, ids and counts go in `props`, never what a parent typed.
+         */
+        track(name, props = {}) {
+            if (!Analytics.isEnabled()) return;
+
+            this.events.push({
+                name,
+                props,
+                at: new Date().toISOString(),
+                page: window.location.pathname,
+                eventId: getCurrentEventId(),
+                locale: i18n.locale,
+                pageViewId: this.pageViewId
             });
 
-            // Update button states
-            if (this.prevBtn) {
-                this.prevBtn.disabled = this.currentIndex === 0;
-                this.prevBtn.setAttribute('aria-disabled', this.currentIndex === 0);
-            }
-            if (this.nextBtn) {
-                this.nextBtn.disabled = this.currentIndex === this.maxIndex;
-                this.nextBtn.setAttribute('aria-disabled', this.currentIndex === this.maxIndex);
+            if (this.events.length >= this.options.batchSize) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
             }
         }
-    }
 
-// School Logos Slider (gesture enabled)
-    // ========================================================================== 
+        flush() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            if (!this.events.length) return;
 
-    class SchoolLogosSlider {
-        constructor(containers) {
-            // Accept NodeList or selector
-            this.containers = (typeof containers === 'string') ? document.querySelectorAll(containers) : containers;
-            this.init();
+            const events = this.events;
+            this.events = [];
+            this.send(events);
         }
 
-        init() {
-            if (!this.containers || this.containers.length === 0) return;
-
-            this.containers.forEach(container => this.setupContainer(container));
+        /**
+         * Send a measurement of the page rather than the visitor, such as a Web Vital, whatever the consent.
+         * It goes out at once and without the page-view id, so it cannot be joined with funnel events.
+         */
+        report(name, props = {}) {
+            this.send([{
+                name,
+                props,
+                at: new Date().toISOString(),
+                page: window.location.pathname,
+                eventId: getCurrentEventId(),
+                locale: i18n.locale
+            }]);
         }
 
-        setupContainer(container) {
-            const track = container.querySelector('.participating-schools__track');
-            if (!track) return;
+        send(events) {
+            try {
+                this.sink.send({ id: createId('evt'), sentAt: new Date().toISOString(), events });
+            } catch (err) {
+                console.warn('Analytics: the sink could not send events', err);
+            }
+        }
 
-            // Make container scrollable horizontally and enable smooth interaction
-            container.style.overflowX = 'auto';
-            container.style.scrollBehavior = 'smooth';
-            container.classList.add('logos-scrollable');
-            container.tabIndex = 0;
+        /**
+         * Reported by initScrollAnimations() the first time each section scrolls into view
+         */
+        trackSection(section) {
+            this.track('section_view', { section: section.id || section.classList[0] });
+        }
 
-            // Pointer dragging
-            let isDown = false;
-            let startX = 0;
-            let scrollLeft = 0;
-
-            const pointerDown = (e) => {
-                isDown = true;
-                container.classList.add('is-dragging');
-                startX = e.pageX ?? (e.touches && e.touches[0].pageX);
-                scrollLeft = container.scrollLeft;
-                // pause CSS animation if any
-                track.style.animationPlayState = 'paused';
-                e.preventDefault();
-            };
+        bindInteractions() {
+            document.addEventListener('slidechange', (e) => {
+                if (!e.detail.userInitiated) return;
+                this.track('slider_interaction', {
+                    slider: e.target.classList[0],
+                    index: e.detail.index,
+                    direction: e.detail.index > e.detail.previousIndex ? 'next' : 'prev'
+                });
+            });
+            document.addEventListener('logodrag', (e) => {
+                this.track('slider_interaction', { slider: e.target.classList[0], action: 'drag' });
+            });
 
-            const pointerMove = (e) => {
-                if (!isDown) return;
-                const x = e.pageX ?? (e.touches && e.touches[0].pageX);
-                const walk = startX - x;
-                container.scrollLeft = scrollLeft + walk;
-            };
+            // Calls to action are marked in the markup with data-cta="<name>"
+            document.addEventListener('click', (e) => {
+                const cta = e.target.closest('[data-cta]');
+                if (cta) this.track('cta_click', { cta: cta.dataset.cta });
+            });
 
-            const pointerUp = () => {
-                isDown = false;
-                container.classList.remove('is-dragging');
-                track.style.animationPlayState = 'running';
-            };
+            document.addEventListener('submissionSent', (e) => {
+                const { endpoint, attempts } = e.detail.entry;
+                this.track('submission_success', { endpoint, retried: attempts > 0 });
+            });
+        }
 
-            container.addEventListener('mousedown', pointerDown);
-            container.addEventListener('mousemove', pointerMove);
-            container.addEventListener('mouseup', pointerUp);
-            container.addEventListener('mouseleave', pointerUp);
+        /**
+         * Which fields parents reach, where they give up and which ones they get wrong
+         */
+        bindForms() {
+            document.addEventListener('focusin', (e) => {
+                const form = e.target.form;
+                if (!form?.dataset.schema || !e.target.name) return;
+
+                let state = this.forms.get(form);
+                if (!state) {
+                    state = { fields: new Set(), lastField: null, submitted: false };
+                    this.forms.set(form, state);
+                    this.track('form_start', { form: form.dataset.schema });
+                }
+                state.lastField = toFieldKey(e.target.name);
+                state.fields.add(state.lastField);
+            });
 
-            container.addEventListener('touchstart', pointerDown, { passive: false });
-            container.addEventListener('touchmove', pointerMove, { passive: false });
-            container.addEventListener('touchend', pointerUp);
+            document.addEventListener('fieldinvalid', (e) => {
+                this.track('validation_error', { form: e.target.dataset.schema, field: toFieldKey(e.detail.name) });
+            });
 
-            // Wheel -> horizontal scroll
-            container.addEventListener('wheel', (e) => {
-                // Prefer horizontal scroll when available, else map vertical to horizontal
-                const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
-                container.scrollLeft += delta;
-                e.preventDefault();
-            }, { passive: false });
+            document.addEventListener('validsubmit', (e) => {
+                const state = this.forms.get(e.target);
+                if (state) state.submitted = true;
+                this.track('form_submit', { form: e.target.dataset.schema });
+            });
 
-            // Keyboard navigation
-            container.addEventListener('keydown', (e) => {
-                if (e.key === 'ArrowLeft') container.scrollLeft -= 200;
-                if (e.key === 'ArrowRight') container.scrollLeft += 200;
+            // A new attempt starts once the form is cleared after sending
+            document.addEventListener('reset', (e) => {
+                if (this.forms.get(e.target)?.submitted) this.forms.delete(e.target);
             });
+        }
 
-            // Pause CSS animation on hover/touch
-            container.addEventListener('mouseenter', () => { track.style.animationPlayState = 'paused'; });
-            container.addEventListener('mouseleave', () => { track.style.animationPlayState = 'running'; });
-            container.addEventListener('touchstart', () => { track.style.animationPlayState = 'paused'; }, { passive: true });
-            container.addEventListener('touchend', () => { track.style.animationPlayState = 'running'; });
+        trackAbandonedForms() {
+            this.forms.forEach((state, form) => {
+                if (state.submitted) return;
+                this.track('form_abandon', {
+                    form: form.dataset.schema,
+                    lastField: state.lastField,
+                    fieldsVisited: state.fields.size
+                });
+            });
+            this.forms.clear();
         }
     }
 
-    // Exhibition Benefits Slider (improved: pointer drag, wheel and lazy activation)
-    // ========================================================================== 
-
-    class ExhibitionBenefitsSlider {
-        constructor(container, autoInit = true) {
-            this.container = container;
-            this.track = container.querySelector('.exhibition-benefits__track');
-            this.cards = container.querySelectorAll('.exhibition-benefits__card');
-            this.prevBtn = container.querySelector('.exhibition-benefits__nav--prev');
-            this.nextBtn = container.querySelector('.exhibition-benefits__nav--next');
-
-            this.currentIndex = 0;
-            this.cardsPerView = this.getCardsPerView();
-            this.maxIndex = Math.max(0, this.cards.length - this.cardsPerView);
+    // Manage My Data
+    // ==========================================================================
 
-            this._activated = false;
+    // Everything the site keeps in this browser. `personal` items identify the parent and go when consent is withdrawn.
+    const DEVICE_DATA = [
+        {
+            key: SUBMISSION_DEFAULTS.storageKey,
+            label: 'Enquiries waiting to be sent',
+            personal: true,
+            describe: entries => t('{count} waiting, deleted automatically by {date}', {
+                count: entries.length,
+                date: i18n.formatDate(Math.min(...entries.map(entry => entry.createdAt)) + SUBMISSION_DEFAULTS.retention,
+                    { day: 'numeric', month: 'long', timeZone: undefined })
+            })
+        },
+        {
+            key: BOOKING_DEFAULTS.storageKey,
+            label: 'Appointment bookings',
+            personal: true,
+            describe: bookings => bookings.map(booking => booking.reference).join(', ')
+        },
+        {
+            key: REGISTRATION_DEFAULTS.storageKey,
+            label: 'Exhibition registration',
+            personal: true,
+            describe: registration => registration.reference
+        },
+        {
+            key: REGISTRATION_DEFAULTS.visitorKey,
+            label: 'Contact details for filling in forms',
+            personal: true,
+            describe: visitor => [visitor.name, visitor.phone].filter(Boolean).join(', ')
+        },
+        {
+            key: CONSENT_LOG_KEY,
+            label: 'Consent you have given',
+            personal: true,
+            describe: log => t('{count} forms, notice version {version}', { count: log.length, version: log[log.length - 1]?.version })
+        },
+        { key: 'pse-shortlist', label: 'Shortlisted schools', describe: ids => t('{count} schools', { count: ids.length }) },
+        { key: 'pse-compare', label: 'Schools picked for comparison', describe: ids => t('{count} schools', { count: ids.length }) },
+        { key: LOCALE_STORAGE_KEY, label: 'Language', describe: code => LOCALES[code]?.name || code },
+        { key: ACCESSIBILITY_STORAGE_KEY, label: 'Accessibility options', describe: prefs => [
+            prefs.textScale !== 1 && i18n.formatNumber(prefs.textScale, { style: 'percent' }),
+            prefs.highContrast && t('High contrast'),
+            prefs.dyslexiaFont && t('Dyslexia-friendly font'),
+            prefs.underlineLinks && t('Underline links'),
+            prefs.stopMotion && t('Stop all motion')
+        ].filter(Boolean).join(', ') },
+        { key: ANALYTICS_CONSENT_KEY, label: 'Anonymous usage statistics', describe: choice => t(choice === 'granted' ? 'On' : 'Off') },
+        { key: KIOSK_DEFAULTS.storageKey, label: 'Kiosk mode', describe: () => t('On, locked with a staff PIN') },
+        {
+            key: KIOSK_DEFAULTS.leadsKey,
+            label: 'Kiosk leads counter',
+            describe: leads => t('{count} on {date}', {
+                count: leads.count,
+                date: i18n.formatDate(new Date(leads.date), { day: 'numeric', month: 'long' })
+            })
+        }
+    ];
+
+    class MyDataPanel {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.queue = options.queue || null;
+            this.list = element.querySelector('.my-data__list');
+            this.empty = element.querySelector('.my-data__empty');
+            this.status = element.querySelector('.my-data__status');
+            this.withdrawBtn = element.querySelector('.my-data__withdraw');
+            this.deleteAllBtn = element.querySelector('.my-data__delete-all');
+            this.analyticsInput = element.querySelector('.my-data__analytics-input');
+            this.analyticsNote = element.querySelector('.my-data__analytics-note');
 
-            if (autoInit) this.init();
+            this.init();
         }
 
         init() {
-            if (this._activated) return;
-            if (!this.track || this.cards.length === 0) return;
-
-            this._activated = true;
-            this.setupEventListeners();
-            this.updateSlider();
-            this.handleResize();
-        }
+            if (!this.list) return;
 
-        getCardsPerView() {
-            const width = window.innerWidth;
-            if (width < 480) return 1;
-            if (width < 768) return 1;
-            if (width < 1024) return 2;
-            return 4;
-        }
-
-        setupEventListeners() {
-            this.prevBtn?.addEventListener('click', () => this.goToPrev());
-            this.nextBtn?.addEventListener('click', () => this.goToNext());
-
-            // Touch support
-            let touchStartX = 0;
-            let touchEndX = 0;
-
-            this.track.addEventListener('touchstart', (e) => {
-                touchStartX = e.changedTouches[0].screenX;
-            }, { passive: true });
-
-            this.track.addEventListener('touchend', (e) => {
-                touchEndX = e.changedTouches[0].screenX;
-                this.handleSwipe(touchStartX, touchEndX);
-            }, { passive: true });
-
-            // Pointer (mouse) drag support
-            let isDragging = false;
-            let startX = 0;
-            let prevTranslate = 0;
-            let currentTranslate = 0;
-
-            const onPointerDown = (e) => {
-                isDragging = true;
-                startX = e.pageX ?? (e.touches && e.touches[0].pageX);
-                prevTranslate = currentTranslate;
-                this.track.style.transition = 'none';
-                this.track.setPointerCapture?.(e.pointerId);
-                e.preventDefault();
-            };
+            this.modal = new Modal(this.element, {
+                onOpen: () => {
+                    if (this.status) this.status.textContent = '';
+                }
+            });
 
-            const onPointerMove = (e) => {
-                if (!isDragging) return;
-                const x = e.pageX ?? (e.touches && e.touches[0].pageX);
-                const movedBy = x - startX;
-                currentTranslate = prevTranslate + movedBy;
-                this.track.style.transform = `translateX(${currentTranslate}px)`;
-            };
+            this.list.addEventListener('click', (e) => {
+                const button = e.target.closest('.my-data__delete');
+                if (!button) return;
+                this.removeKeys([button.dataset.key]);
+                this.setStatus(t('Deleted from this device.'));
+            });
 
-            const onPointerUp = (e) => {
-                if (!isDragging) return;
-                isDragging = false;
-                this.track.style.transition = '';
+            this.deleteAllBtn?.addEventListener('click', () => {
+                if (!window.confirm(t('Delete everything this site has saved on this device?'))) return;
+                this.removeKeys(this.getStoredItems().map(item => item.key));
+                this.setStatus(t('Everything this site saved on this device has been deleted.'));
+            });
 
-                // Decide nearest index to snap
-                const cardWidth = this.cards[0]?.offsetWidth || 0;
-                const gap = 24;
-                const slideWidth = cardWidth + gap;
-                const index = Math.round(-currentTranslate / slideWidth);
-                this.currentIndex = Math.max(0, Math.min(this.maxIndex, index));
-                this.updateSlider();
-            };
+            this.withdrawBtn?.addEventListener('click', () => {
+                if (!window.confirm(t('Withdraw your consent? We will stop contacting you and delete your details from this device.'))) return;
+                this.withdrawConsent();
+            });
 
-            // Attach pointer events
-            this.track.addEventListener('mousedown', onPointerDown);
-            window.addEventListener('mousemove', onPointerMove);
-            window.addEventListener('mouseup', onPointerUp);
-            this.track.addEventListener('touchstart', onPointerDown, { passive: false });
-            this.track.addEventListener('touchmove', onPointerMove, { passive: false });
-            this.track.addEventListener('touchend', onPointerUp);
-
-            // Wheel navigation (map vertical scroll to horizontal slides)
-            this.track.addEventListener('wheel', (e) => {
-                if (Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
-                    e.preventDefault();
-                    if (e.deltaY > 5) {
-                        this.goToNext();
-                    } else if (e.deltaY < -5) {
-                        this.goToPrev();
-                    }
-                }
-            }, { passive: false });
+            this.analyticsInput?.addEventListener('change', () => {
+                Analytics.setEnabled(this.analyticsInput.checked);
+            });
 
-            // Keyboard navigation
-            this.container.addEventListener('keydown', (e) => {
-                if (e.key === 'ArrowLeft') this.goToPrev();
-                if (e.key === 'ArrowRight') this.goToNext();
+            // Queued enquiries come and go in the background
+            ['submissionSent', 'submissionQueued', 'submissionExpired', 'analyticsConsentChange', 'localeChange'].forEach(type => {
+                document.addEventListener(type, () => this.render());
             });
         }
 
-        handleResize() {
-            window.addEventListener('resize', debounce(() => {
-                this.cardsPerView = this.getCardsPerView();
-                this.maxIndex = Math.max(0, this.cards.length - this.cardsPerView);
-                this.currentIndex = Math.min(this.currentIndex, this.maxIndex);
-                this.updateSlider();
-            }, 250));
+        open(trigger) {
+            this.render();
+            this.modal.open(trigger);
         }
 
-        handleSwipe(startX, endX) {
-            const diff = startX - endX;
-            const threshold = 50;
-
-            if (Math.abs(diff) > threshold) {
-                if (diff > 0) {
-                    this.goToNext();
-                } else {
-                    this.goToPrev();
-                }
-            }
+        getStoredItems() {
+            return DEVICE_DATA
+                .map(item => ({ ...item, value: storage.get(item.key, null) }))
+                .filter(({ value }) => value !== null && !(Array.isArray(value) && value.length === 0));
         }
 
-        goToNext() {
-            if (this.currentIndex < this.maxIndex) {
-                this.currentIndex++;
-                this.updateSlider();
+        render() {
+            const items = this.getStoredItems();
+
+            this.list.innerHTML = items.map(item => `
+                <li class="my-data__item">
+                    <div class="my-data__summary">
+                        <strong>${escapeHTML(t(item.label))}</strong>
+                        <span>${escapeHTML(item.describe?.(item.value) || '')}</span>
+                    </div>
+                    <button type="button" class="my-data__delete" data-key="${escapeHTML(item.key)}">
+                        ${escapeHTML(t('Delete'))}<span class="visually-hidden"> ${escapeHTML(t(item.label))}</span>
+                    </button>
+                    <details class="my-data__details">
+                        <summary>${escapeHTML(t('Show what is stored'))}</summary>
+                        <pre>${escapeHTML(JSON.stringify(item.value, null, 2))}</pre>
+                    </details>
+                </li>
+            `).join('');
+
+            if (this.empty) this.empty.hidden = items.length > 0;
+            if (this.deleteAllBtn) this.deleteAllBtn.hidden = items.length === 0;
+            if (this.withdrawBtn) this.withdrawBtn.hidden = !items.some(item => item.key === CONSENT_LOG_KEY);
+
+            if (this.analyticsInput) {
+                this.analyticsInput.checked = Analytics.isEnabled();
+                this.analyticsInput.disabled = isTrackingBlocked();
             }
+            if (this.analyticsNote) this.analyticsNote.hidden = !isTrackingBlocked();
         }
 
-        goToPrev() {
-            if (this.currentIndex > 0) {
-                this.currentIndex--;
-                this.updateSlider();
-            }
+        removeKeys(keys) {
+            keys.forEach(key => storage.remove(key));
+            document.dispatchEvent(new CustomEvent('deviceDataRemoved', { detail: { keys } }));
+            this.render();
         }
 
-        updateSlider() {
-            const cardWidth = this.cards[0]?.offsetWidth || 0;
-            const gap = 24; // --spacing-lg
-            const offset = -(this.currentIndex * (cardWidth + gap));
-            
-            if (!prefersReducedMotion()) {
-                this.track.style.transform = `translateX(${offset}px)`;
-            } else {
-                this.track.style.transform = `translateX(${offset}px)`;
-                this.track.style.transition = 'none';
-            }
+        /**
+         * Ask the organisers to stop using everything submitted from this device, then forget it locally.
+         * The request goes through the submission queue, so it is delivered even from a flaky connection.
+         */
+        withdrawConsent() {
+            const log = storage.get(CONSENT_LOG_KEY, []);
+            const request = {
+                id: createId('prv'),
+                type: 'withdraw-consent',
+                submissionIds: log.map(item => item.submissionId),
+                versions: [...new Set(log.map(item => item.version))],
+                requestedAt: new Date().toISOString()
+            };
 
-            // Update button states
-            if (this.prevBtn) {
-                this.prevBtn.disabled = this.currentIndex === 0;
-                this.prevBtn.setAttribute('aria-disabled', this.currentIndex === 0);
-            }
-            if (this.nextBtn) {
-                this.nextBtn.disabled = this.currentIndex === this.maxIndex;
-                this.nextBtn.setAttribute('aria-disabled', this.currentIndex === this.maxIndex);
-            }
+            this.removeKeys(DEVICE_DATA.filter(item => item.personal).map(item => item.key));
+            this.queue?.submit(request, PRIVACY_ENDPOINT);
+            Analytics.setEnabled(false);
+            this.setStatus(t('Your consent has been withdrawn. We will stop contacting you and ask the schools to do the same.'));
         }
-    }
 
-    // Form Validation
-    // ==========================================================================
+        setStatus(message) {
+            if (this.status) this.status.textContent = message;
+        }
+    }
 
-    class FormValidator {
-        constructor(form) {
-            this.form = form;
+    /**
+     * Asks about usage statistics on arrival, so the funnel is measured from the first field a parent touches.
+     * Shown until the parent answers here, on a form or in "Manage my data", and never under Do Not Track.
+     */
+    class StatsPrompt {
+        constructor(element) {
+            this.element = element;
             this.init();
         }
 
         init() {
-            if (!this.form) return;
+            this.element.querySelector('.stats-prompt__accept')?.addEventListener('click', () => Analytics.setEnabled(true));
+            this.element.querySelector('.stats-prompt__decline')?.addEventListener('click', () => Analytics.setEnabled(false));
 
-            this.form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                if (this.validateForm()) {
-                    this.handleSubmit();
-                }
+            document.addEventListener('analyticsConsentChange', () => this.update());
+            // "Delete everything" forgets the answer, so ask again
+            document.addEventListener('deviceDataRemoved', (e) => {
+                if (e.detail.keys.includes(ANALYTICS_CONSENT_KEY)) this.update();
             });
 
-            // Real-time validation
-            const inputs = this.form.querySelectorAll('input');
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => this.validateField(input));
-                input.addEventListener('input', () => this.clearError(input));
-            });
+            this.update();
         }
 
-        validateField(field) {
-            const value = field.value.trim();
-            const type = field.type;
-            let isValid = true;
-            let errorMessage = '';
-
-            if (field.hasAttribute('required') && !value) {
-                isValid = false;
-                errorMessage = 'This field is required';
-            } else if (type === 'tel' && value) {
-                const phoneRegex = /^[0-9]{10}$/;
-                if (!phoneRegex.test(value)) {
-                    isValid = false;
-                    errorMessage = 'Please enter a valid 10-digit phone number';
-                }
-            }
+        update() {
+            this.element.hidden = isTrackingBlocked() || storage.get(ANALYTICS_CONSENT_KEY, null) !== null;
+        }
+    }
 
-            if (!isValid) {
-                this.showError(field, errorMessage);
-            } else {
-                this.clearError(field);
-            }
+    // Performance (responsive images, pausing offscreen motion, Web Vitals)
+    // ==========================================================================
 
-            return isValid;
+    // Written by build-images.js: size, smaller copies and a blurred placeholder per image
+    const IMAGE_MANIFEST_URL = 'data/images.json';
+    // Containers whose CSS animations stop while they are scrolled out of view
+    const ANIMATED_SECTIONS = '.hero__floating-grid, .participating-schools__slider';
+    // Good up to the first value, poor from the second (web.dev thresholds)
+    const WEB_VITALS_THRESHOLDS = {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500]
+    };
+
+    let imageManifestPromise = null;
+
+    function loadImageManifest() {
+        if (!imageManifestPromise) {
+            imageManifestPromise = loadJSON(IMAGE_MANIFEST_URL);
+            imageManifestPromise.catch(() => { imageManifestPromise = null; });
         }
+        return imageManifestPromise;
+    }
 
-        validateForm() {
-            const inputs = this.form.querySelectorAll('input[required]');
-            let isValid = true;
+    /**
+     * Adds srcset, intrinsic size and a blur-up placeholder to every image listed in the manifest,
+     * including the ones rendered later (logos, drawer photos)
+     */
+    class ResponsiveImages {
+        constructor(root = document.body) {
+            this.root = root;
+            this.manifest = {};
+            this.init();
+        }
 
-            inputs.forEach(input => {
-                if (!this.validateField(input)) {
-                    isValid = false;
-                }
-            });
+        async init() {
+            try {
+                this.manifest = await loadImageManifest();
+            } catch (err) {
+                console.warn('ResponsiveImages: no image manifest, images load at full size', err);
+                return;
+            }
 
-            return isValid;
+            this.enhanceAll(this.root);
+            new MutationObserver((records) => {
+                records.forEach(record => record.addedNodes.forEach((node) => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.enhanceAll(node);
+                }));
+            }).observe(this.root, { childList: true, subtree: true });
         }
 
-        showError(field, message) {
-            this.clearError(field);
-            
-            field.setAttribute('aria-invalid', 'true');
-            field.classList.add('enquiry-form__input--error');
-            
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'enquiry-form__error';
-            errorDiv.id = `${field.id}-error`;
-            errorDiv.textContent = message;
-            errorDiv.setAttribute('role', 'alert');
-            
-            field.setAttribute('aria-describedby', errorDiv.id);
-            field.parentNode.appendChild(errorDiv);
+        enhanceAll(root) {
+            const images = root.matches('img') ? [root] : root.querySelectorAll('img');
+            images.forEach(img => this.enhance(img));
         }
 
-        clearError(field) {
-            field.removeAttribute('aria-invalid');
-            field.removeAttribute('aria-describedby');
-            field.classList.remove('enquiry-form__input--error');
-            
-            const existingError = field.parentNode.querySelector('.enquiry-form__error');
-            if (existingError) {
-                existingError.remove();
+        enhance(img) {
+            const src = decodeURI(img.getAttribute('src') || '');
+            const entry = this.manifest[src];
+            if (!entry || img.dataset.responsive) return;
+            img.dataset.responsive = '';
+
+            // Reserves the space before the image arrives, the stylesheet keeps height: auto
+            if (!img.hasAttribute('width')) {
+                img.width = entry.width;
+                img.height = entry.height;
+            }
+
+            // An image that already finished loading would only be fetched again
+            const isLoaded = img.complete && img.naturalWidth > 0;
+            if (isLoaded) return;
+
+            if (entry.variants.length && !img.srcset) {
+                // Without a sizes attribute, the width the image is laid out at right now
+                const renderedWidth = img.getBoundingClientRect().width;
+                if (!img.sizes) img.sizes = renderedWidth ? `${Math.ceil(renderedWidth)}px` : '100vw';
+                img.srcset = entry.variants.concat({ src, width: entry.width })
+                    .map(variant => `${encodeURI(variant.src)} ${variant.width}w`)
+                    .join(', ');
+            }
+
+            if (entry.placeholder) {
+                img.classList.add('is-placeholder');
+                img.style.backgroundImage = `url("${entry.placeholder}")`;
+                const reveal = () => {
+                    img.classList.remove('is-placeholder');
+                    img.style.backgroundImage = '';
+                };
+                img.addEventListener('load', reveal, { once: true });
+                img.addEventListener('error', reveal, { once: true });
             }
         }
+    }
 
-        handleSubmit() {
-            // Get form data
-            const formData = new FormData(this.form);
-            const data = Object.fromEntries(formData.entries());
+    /**
+     * Pause the floating photos and logo marquees while they are offscreen or the tab is hidden
+     */
+    function pauseOffscreenAnimations(selector = ANIMATED_SECTIONS) {
+        const updatePageHidden = () => {
+            document.documentElement.classList.toggle('is-page-hidden', document.visibilityState === 'hidden');
+        };
+        document.addEventListener('visibilitychange', updatePageHidden);
+        updatePageHidden();
 
-            // In a real implementation, this would send data to a server
-            console.log('Form submitted:', data);
+        if (!('IntersectionObserver' in window)) return;
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => entry.target.classList.toggle('is-offscreen', !entry.isIntersecting));
+        });
+        document.querySelectorAll(selector).forEach(section => observer.observe(section));
+    }
 
-            // Show success message
-            this.showSuccessMessage();
-            this.form.reset();
-        }
+    function rateWebVital(name, value) {
+        const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
 
-        showSuccessMessage() {
-            const successDiv = document.createElement('div');
-            successDiv.className = 'enquiry-form__success';
-            successDiv.textContent = 'Thank you! We will contact you soon.';
-            successDiv.setAttribute('role', 'alert');
-            
-            this.form.appendChild(successDiv);
+    /**
+     * LCP, CLS and INP for this page view, reported once when the page is hidden or closed.
+     * Call it before anything that flushes on the same events (analytics), so the report makes that flush.
+     */
+    function observeWebVitals(onReport) {
+        if (typeof PerformanceObserver !== 'function') return;
+
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        const metrics = {};
+        const observe = (type, callback, options = {}) => {
+            if (!supported.includes(type)) return;
+            new PerformanceObserver(list => callback(list.getEntries())).observe({ type, buffered: true, ...options });
+        };
 
-            setTimeout(() => {
-                successDiv.remove();
-            }, 5000);
-        }
+        observe('largest-contentful-paint', (entries) => {
+            metrics.LCP = entries[entries.length - 1].startTime;
+        });
+
+        // The worst burst of unexpected shifts: less than 1s apart, 5s at most
+        let burst = { value: 0, start: 0, last: 0 };
+        observe('layout-shift', entries => entries.forEach((entry) => {
+            if (entry.hadRecentInput) return;
+            if (entry.startTime - burst.last > 1000 || entry.startTime - burst.start > 5000) {
+                burst = { value: 0, start: entry.startTime, last: entry.startTime };
+            }
+            burst.value += entry.value;
+            burst.last = entry.startTime;
+            metrics.CLS = Math.max(metrics.CLS || 0, burst.value);
+        }));
+
+        // Slowest interaction, skipping one in every 50 as the 98th percentile does
+        const interactions = new Map();
+        observe('event', entries => entries.forEach((entry) => {
+            if (!entry.interactionId) return;
+            interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            metrics.INP = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+        }), { durationThreshold: 40 });
+
+        let isReported = false;
+        const report = () => {
+            if (isReported) return;
+            isReported = true;
+            Object.entries(metrics).forEach(([name, value]) => {
+                onReport({
+                    name,
+                    value: name === 'CLS' ? Number(value.toFixed(3)) : Math.round(value),
+                    rating: rateWebVital(name, value)
+                });
+            });
+        };
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') report();
+        });
+        window.addEventListener('pagehide', report);
     }
 
     // Smooth Scroll
@@ -738,9 +6499,7 @@
     // Intersection Observer for Animations
     // ==========================================================================
 
-    function initScrollAnimations() {
-        if (prefersReducedMotion()) return;
-
+    function initScrollAnimations({ onSectionVisible } = {}) {
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
@@ -749,13 +6508,9 @@
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
+                    // Added with motion off too, the stylesheet then reveals the section without the lift
                     entry.target.classList.add('animate-in');
-
-                    // When exhibition benefits animates in, activate the slider if it was created lazily
-                    if (entry.target.classList.contains('exhibition-benefits') && window.__benefitsSlider) {
-                        window.__benefitsSlider.init();
-                    }
-
+                    onSectionVisible?.(entry.target);
                     observer.unobserve(entry.target);
                 }
             });
@@ -783,14 +6538,29 @@
                 margin-top: 4px;
             }
             
-            .enquiry-form__success {
-                background: #4caf50;
+            .enquiry-form__status {
                 color: white;
                 padding: 16px;
                 border-radius: 8px;
                 margin-top: 16px;
                 text-align: center;
             }
+
+            .enquiry-form__status--pending {
+                background: rgba(255, 255, 255, 0.15);
+            }
+
+            .enquiry-form__status--sent {
+                background: #4caf50;
+            }
+
+            .enquiry-form__status--failed {
+                background: #b26a00;
+            }
+
+            .enquiry-form__status--unsaved {
+                background: #c62828;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -805,62 +6575,220 @@
             return;
         }
 
-        // Prevent iOS zoom on double tap
-        if (isTouchDevice()) {
-            document.addEventListener('touchmove', function(e) {
-                if (e.scale !== 1) {
-                    e.preventDefault();
-                }
-            }, { passive: false });
-        }
+        // Text size, contrast and motion choices from an earlier visit, before anything starts moving.
+        // Pinch and Ctrl/⌘ + wheel zoom are left to the browser: only the sliders claim horizontal drags,
+        // through touch-action in the stylesheet.
+        accessibility.load();
+        new AccessibilityPanel(document.getElementById('accessibility-panel'), {
+            trigger: document.querySelector('.header__accessibility')
+        });
 
         // Add dynamic styles
         addDynamicStyles();
 
-        // Disable default iOS pulldown-to-refresh gesture (only on app-like experience)
-        if (isTouchDevice()) {
-            document.body.addEventListener('touchmove', function(e) {
-                if (e.touches.length > 1) {
-                    e.preventDefault();
-                }
-            }, { passive: false });
+        // Header language switcher. Components re-render their own text on localeChange.
+        new LanguageSwitcher(document.getElementById('language-select'));
+        const locale = i18n.getInitialLocale();
+        if (locale !== DEFAULT_LOCALE) {
+            i18n.setLocale(locale, { persist: false })
+                .catch(err => console.warn(`Could not load the "${locale}" translations, showing English`, err));
         }
 
+        // Venue, dates, headline and contacts for the edition in the URL
+        loadEvent()
+            .then(applyEventDetails)
+            .catch(err => console.warn('Could not load the event config, keeping the built-in details', err));
+        document.addEventListener('localeChange', () => {
+            loadEvent().then(applyEventDetails).catch(() => {});
+        });
+
         // Initialize hero slider
         const heroSlider = document.querySelector('.hero__slider');
         if (heroSlider) {
             new HeroSlider(heroSlider);
         }
 
-        // Initialize choose school slider
-        const chooseSchoolContainer = document.querySelector('.choose-school__container');
-        if (chooseSchoolContainer) {
-            new ChooseSchoolSlider(chooseSchoolContainer);
-        }
-
-        // Initialize exhibition benefits slider (lazy init - activate when section animates in)
+        // Initialize exhibition benefits slider (activates itself once scrolled into view)
         const benefitsContainer = document.querySelector('.exhibition-benefits__container');
         if (benefitsContainer) {
-            // create object but don't init until visible
-            window.__benefitsSlider = new ExhibitionBenefitsSlider(benefitsContainer, false);
+            new ExhibitionBenefitsSlider(benefitsContainer);
+        }
+
+        // Lazy, responsive images with blur-up placeholders, and no animation nobody can see
+        new ResponsiveImages();
+        pauseOffscreenAnimations();
+
+        // Anonymous funnel events, ?analytics=console logs them instead of sending
+        const analytics = new Analytics({
+            sink: new URLSearchParams(window.location.search).get('analytics') || document.body.dataset.analytics || ANALYTICS_DEFAULTS.sink,
+            endpoint: document.body.dataset.analyticsEndpoint || ANALYTICS_DEFAULTS.endpoint
+        });
+
+        // LCP, CLS and INP as the page is hidden. They describe the page, not the parent, so they skip the opt-in.
+        observeWebVitals(metric => analytics.report('web_vital', metric));
+
+        // Offline-safe submission queue (retries anything left from earlier visits)
+        const submissionQueue = new SubmissionQueue();
+
+        // Works offline at the venue once visited, and offers a reload when a new build is out
+        new OfflineSupport({
+            queue: submissionQueue,
+            toast: document.querySelector('.update-toast')
+        });
+
+        // Schools the parent has hearted, shared by the logos, finder, drawer, booking and enquiry forms
+        const shortlist = new Shortlist();
+
+        // Repeatable child rows must exist before the validator looks at the form
+        document.querySelectorAll('.enquiry-form__children').forEach(fieldset => {
+            new ChildProfiles(fieldset);
+        });
+
+        // Consent checkboxes too, for the enquiry, booking and registration forms
+        document.querySelectorAll('fieldset.consent').forEach(fieldset => {
+            new ConsentFields(fieldset);
+        });
+
+        // Privacy notice, opened from every consent block and the footer
+        const privacyModalEl = document.getElementById('privacy-modal');
+        if (privacyModalEl) {
+            const privacyModal = new Modal(privacyModalEl);
+            const version = privacyModalEl.querySelector('.privacy__version');
+            const showVersion = () => {
+                if (version) version.textContent = t('Version {version}', { version: CONSENT_VERSION });
+            };
+            showVersion();
+            document.addEventListener('localeChange', showVersion);
+            document.addEventListener('click', (e) => {
+                const trigger = e.target.closest('[data-privacy-notice]');
+                if (trigger) privacyModal.open(trigger);
+            });
+        }
+
+        // "Manage my data" in the footer shows and deletes everything stored on this device
+        const myDataModal = document.getElementById('my-data-modal');
+        const myDataBtn = document.querySelector('.footer__my-data');
+        if (myDataModal && myDataBtn) {
+            const myDataPanel = new MyDataPanel(myDataModal, { queue: submissionQueue });
+            myDataBtn.addEventListener('click', () => myDataPanel.open(myDataBtn));
+        }
+
+        // Usage statistics are opt-in, asked for before anyone starts a form
+        const statsPrompt = document.querySelector('.stats-prompt');
+        if (statsPrompt) new StatsPrompt(statsPrompt);
+
+        // Initialize schema validation for every form that posts to an endpoint.
+        // A kiosk tablet's shortlist is nobody's (parents cannot see it there), so kiosk leads never carry one.
+        const validators = new Map();
+        const isKiosk = KioskMode.isRequested();
+        document.querySelectorAll('form[data-schema][data-endpoint]').forEach(form => {
+            validators.set(form, new FormValidator(form, { queue: submissionQueue, shortlist: isKiosk ? null : shortlist }));
+        });
+
+        // Countdown, opening status or "ended" banner, which also turns the enquiry form into an interest list
+        const eventStatus = document.querySelector('.hero__status');
+        if (eventStatus) {
+            const enquiryForm = document.querySelector('.hero__form .enquiry-form');
+            new EventStatus(eventStatus, {
+                onEnded: () => enquiryForm && switchToInterestList(enquiryForm, validators.get(enquiryForm))
+            });
+        }
+
+        // Staff tablets at the venue: just the enquiry form, wiped between parents and locked with a PIN
+        const kioskForm = document.querySelector('.hero__form .enquiry-form');
+        const kioskPin = document.getElementById('kiosk-pin-modal');
+        if (isKiosk && kioskForm && kioskPin) {
+            new KioskMode({
+                form: kioskForm,
+                validator: validators.get(kioskForm),
+                bar: document.querySelector('.kiosk-bar'),
+                thanks: document.querySelector('.kiosk-thanks'),
+                pinModal: kioskPin
+            });
+        }
+
+        // Counsellors review, tag and export the captured leads at #/staff, signed in against the API
+        const staffEl = document.getElementById('staff');
+        if (staffEl) {
+            new StaffDashboard(staffEl, { queue: submissionQueue });
+        }
+
+        // Initialize the appointment booking flow behind the "Pre-schedule" CTA
+        const bookingModal = document.getElementById('booking-modal');
+        const bookingFlow = bookingModal ? new BookingFlow(bookingModal, { queue: submissionQueue, shortlist }) : null;
+        if (bookingFlow) {
+            document.querySelectorAll('.appointments__cta').forEach(cta => {
+                cta.addEventListener('click', () => bookingFlow.open(cta));
+            });
         }
 
-        // Initialize school logos slider (gesture enabled)
+        // Initialize school logos slider (gesture enabled), a tap opens that school's details
+        const schoolDrawerEl = document.getElementById('school-drawer');
+        const schoolDrawer = schoolDrawerEl ? new SchoolDrawer(schoolDrawerEl, {
+            shortlist,
+            onBook: bookingFlow ? (id, trigger) => bookingFlow.open(trigger, { schoolIds: [id] }) : null
+        }) : null;
+
         const schoolLogoContainers = document.querySelectorAll('.participating-schools__slider');
         if (schoolLogoContainers && schoolLogoContainers.length) {
-            new SchoolLogosSlider(schoolLogoContainers);
+            new SchoolLogosSlider(schoolLogoContainers, {
+                shortlist,
+                onSelect: (id, logo) => schoolDrawer?.open(id, logo)
+            });
+        }
+
+        // Initialize the school finder, filters live in the URL so a filtered view can be shared
+        const schoolFinderEl = document.getElementById('school-finder');
+        const comparisonEl = document.getElementById('comparison-modal');
+        const comparison = comparisonEl ? new SchoolComparison(comparisonEl, {
+            tray: document.querySelector('.compare-tray')
+        }) : null;
+        const schoolFinder = schoolFinderEl ? new SchoolFinder(schoolFinderEl, {
+            onSelect: (id, button) => schoolDrawer?.open(id, button),
+            comparison,
+            shortlist
+        }) : null;
+
+        // Floating shortlist, also opened by a shared shortlist link
+        const shortlistPanel = document.getElementById('shortlist-panel');
+        if (shortlistPanel) {
+            new ShortlistPanel(shortlistPanel, {
+                shortlist,
+                fab: document.querySelector('.shortlist-fab'),
+                onSelect: (id, button) => schoolDrawer?.open(id, button),
+                onBook: bookingFlow ? (ids, trigger) => bookingFlow.open(trigger, { schoolIds: ids }) : null
+            });
+        }
+
+        // Initialize choose school slider, each category card is a way into the finder
+        const chooseSchoolContainer = document.querySelector('.choose-school__container');
+        if (chooseSchoolContainer) {
+            new ChooseSchoolSlider(chooseSchoolContainer, {
+                onSelect: schoolFinder ? (category) => {
+                    schoolFinder.setFilters({ category });
+                    schoolFinderEl.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+                    schoolFinderEl.querySelector('.school-finder__title')?.focus({ preventScroll: true });
+                } : null
+            });
         }
 
-        // Initialize form validation
-        const enquiryForm = document.querySelector('.enquiry-form');
-        if (enquiryForm) {
-            new FormValidator(enquiryForm);
+        // Initialize visitor registration behind the header "Register now" button
+        const registrationModal = document.getElementById('registration-modal');
+        const registerBtn = document.querySelector('.header__register-btn');
+        if (registrationModal && registerBtn) {
+            const registrationFlow = new RegistrationFlow(registrationModal, {
+                queue: submissionQueue,
+                trigger: registerBtn,
+                enquiryForm: document.querySelector('.hero__form .enquiry-form')
+            });
+            registerBtn.addEventListener('click', () => registrationFlow.open(registerBtn));
         }
 
         // Initialize animated buttons (submit and appointments CTA)
         document.querySelectorAll('.animated-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                e.preventDefault();
+                // A tap on the enquiry form's button still has to submit it
+                if (!btn.form) e.preventDefault();
                 btn.classList.toggle('active');
             });
         });
@@ -868,8 +6796,8 @@
         // Initialize smooth scroll
         initSmoothScroll();
 
-        // Initialize scroll animations
-        initScrollAnimations();
+        // Initialize scroll animations, which also report each section's first view to analytics
+        initScrollAnimations({ onSectionVisible: section => analytics.trackSection(section) });
 
         // Header at-top state handling: keep the header in the 'light' (attached-image) style
         (function() {
@@ -919,13 +6847,6 @@
                 window.dispatchEvent(new Event('sliderResize'));
             }, 250);
         });
-
-        // Prevent pinch zoom on mobile while allowing accessibility
-        document.addEventListener('wheel', function(e) {
-            if (e.ctrlKey || e.metaKey) {
-                e.preventDefault();
-            }
-        }, { passive: false });
     }
 
     // Start initialization
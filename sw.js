@@ -0,0 +1,156 @@
+/**
+ * Premier Schools Exhibition - Service worker
+ * Keeps the page, its data and its images usable offline at the venue.
+ *
+ * Bump CACHE_VERSION on every deploy: the new worker precaches the new build, and the page offers
+ * "Update available — reload" once it is ready.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'pse-2025-07-v1';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const IMAGE_CACHE = `${CACHE_VERSION}-images`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'offline.html',
+    'script.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'data/schools.json',
+    'data/images.json',
+    'data/events/gurugram-2025.json',
+    'data/i18n/hi.json'
+];
+// Every original image in Assets/ is listed in the image manifest, the smaller copies are cached as they are used
+const IMAGE_MANIFEST = 'data/images.json';
+// Pages and timings come from the network when it answers in time, otherwise from the cache
+const NETWORK_TIMEOUT = 3000;
+// Matches SUBMISSION_SYNC_TAG in script.js
+const SUBMISSION_SYNC_TAG = 'pse-submissions';
+
+/**
+ * Best effort, one file at a time: an image that fails to download is simply fetched when it is next shown
+ */
+async function precacheImages() {
+    try {
+        const manifest = await (await fetch(IMAGE_MANIFEST)).json();
+        const cache = await caches.open(IMAGE_CACHE);
+        await Promise.all(Object.keys(manifest).map(src => cache.add(encodeURI(src)).catch(() => {})));
+    } catch (err) {
+        // No manifest, the images are cached as they are viewed instead
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+    // Outside waitUntil: on a patchy venue connection the images must not hold up or fail the install
+    precacheImages();
+    // No skipWaiting() here: the page asks the visitor first, see the SKIP_WAITING message
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('pse-') && !key.startsWith(CACHE_VERSION))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Network first, but give up on a slow venue connection after NETWORK_TIMEOUT and use the cache
+ */
+async function networkFirst(request, cacheName, fallbackUrl) {
+    const cache = await caches.open(cacheName);
+    const fromNetwork = fetch(request).then((response) => {
+        // Only an HTML page may stand in for the app shell
+        if (response.ok && (!fallbackUrl || isHTML(response))) cache.put(fallbackUrl || request, response.clone());
+        return response;
+    });
+
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT));
+    const fast = await Promise.race([fromNetwork.catch(() => null), timeout]);
+    if (fast) return fast;
+
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    // Nothing cached, keep waiting for the network after all
+    return fromNetwork;
+}
+
+/**
+ * Serve the cached copy straight away and refresh it in the background
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const fromNetwork = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        fromNetwork.catch(() => {});
+        return cached;
+    }
+    return fromNetwork;
+}
+
+function isHTML(response) {
+    return (response.headers.get('Content-Type') || '').includes('text/html');
+}
+
+/**
+ * The home page and edition paths (/gurugram-2025) all render index.html
+ */
+function isAppPage(url) {
+    const name = url.pathname.split('/').pop();
+    return name === '' || name === 'index.html' || !name.includes('.');
+}
+
+async function handleNavigation(request) {
+    try {
+        // Anything else opened directly (offline.html, a data file) is cached under its own URL, never as the shell
+        return await networkFirst(request, SHELL_CACHE, isAppPage(new URL(request.url)) ? 'index.html' : null);
+    } catch (err) {
+        return caches.match('offline.html');
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Submissions and analytics go to the network untouched, the page queues them itself
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE));
+    } else if (url.pathname.includes('/data/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
+
+/**
+ * Queued enquiries live in the page's localStorage, out of reach here, so an open page is asked to send them.
+ * Without one the sync fails and the browser tries again later.
+ */
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SUBMISSION_SYNC_TAG) return;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then((clients) => {
+        if (!clients.length) throw new Error('No open page to send the queued submissions');
+        clients.forEach(client => client.postMessage({ type: 'FLUSH_SUBMISSIONS' }));
+    }));
+});